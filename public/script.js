@@ -1,10 +1,50 @@
 
+const authPrompt = document.getElementById('authPrompt');
+const authSignedOut = document.getElementById('authSignedOut');
+const authSignedIn = document.getElementById('authSignedIn');
+const authUsernameInput = document.getElementById('authUsername');
+const authPasswordInput = document.getElementById('authPassword');
+const signInBtn = document.getElementById('signInBtn');
+const signOutBtn = document.getElementById('signOutBtn');
+const authUserLabel = document.getElementById('authUserLabel');
+const authError = document.getElementById('authError');
+const userList = document.getElementById('userList');
+const newUsernameInput = document.getElementById('newUsername');
+const newUserPasswordInput = document.getElementById('newUserPassword');
+const newUserRoleSelect = document.getElementById('newUserRole');
+const newUserTournamentsSelect = document.getElementById('newUserTournaments');
+const addUserBtn = document.getElementById('addUserBtn');
+const userError = document.getElementById('userError');
+
 const tournamentListSection = document.getElementById('tournamentListSection');
 const tournamentList = document.getElementById('tournamentList');
 const refreshTournamentsBtn = document.getElementById('refreshTournamentsBtn');
+const showArchivedInput = document.getElementById('showArchived');
+const importTournamentFileInput = document.getElementById('importTournamentFile');
+const importPreserveIdInput = document.getElementById('importPreserveId');
+const importTournamentBtn = document.getElementById('importTournamentBtn');
+const importTournamentError = document.getElementById('importTournamentError');
 
 const createTournamentSection = document.getElementById('createTournamentSection');
 const tournamentNameInput = document.getElementById('tournamentName');
+const tournamentFormatSelect = document.getElementById('tournamentFormat');
+const tournamentDrawSelect = document.getElementById('tournamentDraw');
+const swissRoundsInput = document.getElementById('swissRounds');
+const tournamentLegsSelect = document.getElementById('tournamentLegs');
+const pointsWinInput = document.getElementById('pointsWin');
+const pointsDrawInput = document.getElementById('pointsDraw');
+const pointsLossInput = document.getElementById('pointsLoss');
+const bonusMarginInput = document.getElementById('bonusMargin');
+const tournamentTiebreakersSelect = document.getElementById('tournamentTiebreakers');
+const playoffQualifiersSelect = document.getElementById('playoffQualifiers');
+const playoffThirdPlaceInput = document.getElementById('playoffThirdPlace');
+const playoffTwoLeggedSelect = document.getElementById('playoffTwoLegged');
+const playoffAwayGoalsInput = document.getElementById('playoffAwayGoals');
+const playoffPerGroupInput = document.getElementById('playoffPerGroup');
+const playoffBestThirdsInput = document.getElementById('playoffBestThirds');
+const registrationLockRoundInput = document.getElementById('registrationLockRound');
+const disciplineYellowsInput = document.getElementById('disciplineYellows');
+const disciplineSuspendedSelect = document.getElementById('disciplineSuspended');
 const teamsContainer = document.getElementById('teamsContainer');
 const addTeamBtn = document.getElementById('addTeamBtn');
 const createTournamentBtn = document.getElementById('createTournamentBtn');
@@ -13,48 +53,381 @@ const createError = document.getElementById('createError');
 const currentTournamentSection = document.getElementById('currentTournamentSection');
 const currentTournamentTitle = document.getElementById('currentTournamentTitle');
 const backToListBtn = document.getElementById('backToListBtn');
+const exportTournamentLink = document.getElementById('exportTournamentLink');
 
 const scheduleSection = document.getElementById('scheduleSection');
 const scoreboardSection = document.getElementById('scoreboardSection');
 const playoffSection = document.getElementById('playoffSection');
 const scheduleContainer = document.getElementById('scheduleContainer');
 const scoreboardTable = document.getElementById('scoreboardTable');
+const groupTablesContainer = document.getElementById('groupTablesContainer');
 const playoffContainer = document.getElementById('playoffContainer');
 const generatePlayoffBtn = document.getElementById('generatePlayoffBtn');
+const nextRoundBtn = document.getElementById('nextRoundBtn');
+const leaderboardSection = document.getElementById('leaderboardSection');
+const leaderboardContainer = document.getElementById('leaderboardContainer');
+const historySection = document.getElementById('historySection');
+const historyList = document.getElementById('historyList');
+const squadSection = document.getElementById('squadSection');
+const disciplineSection = document.getElementById('disciplineSection');
+const disciplineContainer = document.getElementById('disciplineContainer');
+const disciplineViolationsList = document.getElementById('disciplineViolations');
+const squadTeamSelect = document.getElementById('squadTeam');
+const squadStatus = document.getElementById('squadStatus');
+const squadTable = document.getElementById('squadTable');
+const playerNumberInput = document.getElementById('playerNumber');
+const playerNameInput = document.getElementById('playerName');
+const playerPositionSelect = document.getElementById('playerPosition');
+const addPlayerBtn = document.getElementById('addPlayerBtn');
+const squadLockRoundInput = document.getElementById('squadLockRound');
+const saveRegistrationBtn = document.getElementById('saveRegistrationBtn');
+const calendarStartInput = document.getElementById('calendarStart');
+const calendarEndInput = document.getElementById('calendarEnd');
+const calendarDaysContainer = document.getElementById('calendarDays');
+const calendarTimesInput = document.getElementById('calendarTimes');
+const calendarPitchesInput = document.getElementById('calendarPitches');
+const calendarRestInput = document.getElementById('calendarRest');
+const assignDatesBtn = document.getElementById('assignDatesBtn');
+const calendarError = document.getElementById('calendarError');
+const calendarConflictsList = document.getElementById('calendarConflicts');
+const availabilityTeamSelect = document.getElementById('availabilityTeam');
+const availabilityList = document.getElementById('availabilityList');
+const availabilityFromInput = document.getElementById('availabilityFrom');
+const availabilityUntilInput = document.getElementById('availabilityUntil');
+const availabilityStartTimeInput = document.getElementById('availabilityStartTime');
+const availabilityEndTimeInput = document.getElementById('availabilityEndTime');
+const availabilityReasonInput = document.getElementById('availabilityReason');
+const addAvailabilityBtn = document.getElementById('addAvailabilityBtn');
+const icsTeamSelect = document.getElementById('icsTeam');
+const icsLink = document.getElementById('icsLink');
+const fixturesCsvLink = document.getElementById('fixturesCsvLink');
+const resultsCsvLink = document.getElementById('resultsCsvLink');
+const standingsCsvLink = document.getElementById('standingsCsvLink');
+const resultsCsvFileInput = document.getElementById('resultsCsvFile');
+const importResultsBtn = document.getElementById('importResultsBtn');
+const importSummary = document.getElementById('importSummary');
+const importErrorsList = document.getElementById('importErrors');
 
 // Global state variables
 let currentTournamentId = null;
 let currentTournamentName = '';
+let tournamentInfo = null;
 let scheduleData = null;
 let matchCount = 0;
 let scoreboardData = null;
+// Match events being edited in the schedule, keyed by fixture ID
+let matchEvents = {};
+// Bearer token of the signed‑in user, kept across page loads
+let authToken = localStorage.getItem('authToken');
+let currentUser = null;
+// Whether the server has no accounts yet and the first admin must be created
+let setupRequired = false;
+// Live update stream of the open tournament, with its reconnect state
+let liveSource = null;
+let liveReconnectTimer = null;
+let liveRetryDelay = 1000;
+let liveReloadTimer = null;
+let liveReloadAll = false;
 
 // Initialisation: populate tournament list and update remove button visibility
 window.addEventListener('DOMContentLoaded', () => {
   updateRemoveButtons();
   loadTournamentList();
+  loadCurrentUser();
+});
+
+/**
+ * fetch() for the API that sends the signed‑in user's token. When the
+ * server no longer accepts the token the user is signed out locally.
+ *
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ */
+function apiFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+  return fetch(url, { ...options, headers }).then((res) => {
+    if (res.status === 401 && authToken) {
+      setSession(null, null);
+    }
+    return res;
+  });
+}
+
+/**
+ * Remember (or forget, with nulls) the signed‑in user and refresh
+ * everything that depends on their role.
+ *
+ * @param {string|null} token
+ * @param {{username: string, role: string, tournaments: string[]}|null} user
+ */
+function setSession(token, user) {
+  authToken = token;
+  currentUser = user;
+  if (token) {
+    localStorage.setItem('authToken', token);
+  } else {
+    localStorage.removeItem('authToken');
+  }
+  renderAuth();
+  updatePermissions();
+  if (user && user.role === 'admin') loadUsers();
+}
+
+/**
+ * Ask the server who is signed in with the stored token.
+ */
+function loadCurrentUser() {
+  apiFetch('/auth/me')
+    .then((res) => res.json())
+    .then((data) => {
+      setupRequired = !!data.setupRequired;
+      setSession(data.user ? authToken : null, data.user);
+    })
+    .catch((err) => console.error(err));
+}
+
+/**
+ * Show the sign‑in form, or who is signed in. Before any account
+ * exists the form creates the first admin instead.
+ */
+function renderAuth() {
+  authError.style.display = 'none';
+  authSignedOut.style.display = currentUser ? 'none' : 'block';
+  authSignedIn.style.display = currentUser ? 'block' : 'none';
+  if (currentUser) {
+    const roles = { admin: 'admin', official: 'match official', viewer: 'viewer' };
+    authUserLabel.textContent = `Signed in as ${currentUser.username} (${roles[currentUser.role]})`;
+  }
+  authPrompt.textContent = setupRequired
+    ? 'No accounts exist yet. Choose a username and password for the first admin.'
+    : 'Sign in to enter results or manage tournaments.';
+  signInBtn.textContent = setupRequired ? 'Create Admin' : 'Sign In';
+}
+
+/**
+ * Show or hide editing controls: admins see everything, match
+ * officials only the result entry of tournaments they are assigned
+ * to, and viewers nothing.
+ */
+function updatePermissions() {
+  const isAdmin = !!(currentUser && currentUser.role === 'admin');
+  const isOfficial = !!(currentUser && currentUser.role === 'official' &&
+    currentUser.tournaments.includes(currentTournamentId));
+  document.body.classList.toggle('can-admin', isAdmin);
+  document.body.classList.toggle('can-enter-results', isAdmin || isOfficial);
+}
+
+signInBtn.addEventListener('click', () => {
+  const username = authUsernameInput.value.trim();
+  const password = authPasswordInput.value;
+  if (!username || !password) {
+    authError.textContent = 'Please enter a username and password.';
+    authError.style.display = 'block';
+    return;
+  }
+  apiFetch(setupRequired ? '/auth/setup' : '/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        authError.textContent = data.error;
+        authError.style.display = 'block';
+        return;
+      }
+      setupRequired = false;
+      authPasswordInput.value = '';
+      setSession(data.token, data.user);
+    })
+    .catch((err) => {
+      console.error(err);
+      authError.textContent = 'An error occurred while signing in.';
+      authError.style.display = 'block';
+    });
+});
+
+signOutBtn.addEventListener('click', () => {
+  apiFetch('/auth/logout', { method: 'POST' })
+    .catch((err) => console.error(err))
+    .then(() => setSession(null, null));
+});
+
+/**
+ * Load the accounts list for admins.
+ */
+function loadUsers() {
+  apiFetch('/users')
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data || data.error) {
+        console.error(data && data.error);
+        return;
+      }
+      renderUsers(data.users);
+    })
+    .catch((err) => console.error(err));
+}
+
+/**
+ * Render the accounts with buttons to change or remove them.
+ *
+ * @param {Array<{username: string, role: string, tournaments: string[]}>} users
+ */
+function renderUsers(users) {
+  userList.innerHTML = '';
+  users.forEach((user) => {
+    const li = document.createElement('li');
+    li.className = 'tournament-item';
+    const label = document.createElement('span');
+    label.className = 'tournament-name';
+    label.textContent = `${user.username} – ${user.role}${user.role === 'official' ? ` (${user.tournaments.join(', ') || 'no tournaments'})` : ''}`;
+    li.appendChild(label);
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => {
+      const role = prompt('Role (admin, official or viewer)', user.role);
+      if (role === null) return;
+      const changes = { role: role.trim() };
+      if (changes.role === 'official') {
+        const ids = prompt('Tournament IDs this official enters results for (comma separated)', user.tournaments.join(', '));
+        if (ids === null) return;
+        changes.tournaments = ids.split(',').map((id) => id.trim()).filter((id) => id);
+      }
+      const password = prompt('New password (leave empty to keep the current one)', '');
+      if (password === null) return;
+      if (password) changes.password = password;
+      saveUser('PUT', user.username, changes);
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      if (confirm(`Remove the account ${user.username}?`)) saveUser('DELETE', user.username);
+    });
+    li.appendChild(editBtn);
+    li.appendChild(removeBtn);
+    userList.appendChild(li);
+  });
+}
+
+/**
+ * Create, change or remove an account and reload the list.
+ *
+ * @param {string} method POST, PUT or DELETE
+ * @param {string|null} username Null when creating an account
+ * @param {Object} [account]
+ * @returns {Promise<boolean>} Whether the change was saved
+ */
+function saveUser(method, username, account) {
+  userError.style.display = 'none';
+  const options = { method, headers: { 'Content-Type': 'application/json' } };
+  if (account) options.body = JSON.stringify(account);
+  return apiFetch(username ? `/users/${encodeURIComponent(username)}` : '/users', options)
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        userError.textContent = data.error;
+        userError.style.display = 'block';
+        return false;
+      }
+      loadUsers();
+      // Changing one's own account changes what one may do
+      if (currentUser && username === currentUser.username) loadCurrentUser();
+      return true;
+    })
+    .catch((err) => {
+      console.error(err);
+      userError.textContent = 'An error occurred while saving the account.';
+      userError.style.display = 'block';
+      return false;
+    });
+}
+
+addUserBtn.addEventListener('click', () => {
+  const account = {
+    username: newUsernameInput.value.trim(),
+    password: newUserPasswordInput.value,
+    role: newUserRoleSelect.value,
+  };
+  if (account.role === 'official') {
+    account.tournaments = Array.from(newUserTournamentsSelect.selectedOptions).map((option) => option.value);
+  }
+  saveUser('POST', null, account).then((saved) => {
+    if (!saved) return;
+    newUsernameInput.value = '';
+    newUserPasswordInput.value = '';
+    newUserTournamentsSelect.selectedIndex = -1;
+  });
 });
 
 // Refresh tournaments list when the button is clicked
 refreshTournamentsBtn.addEventListener('click', () => {
   loadTournamentList();
 });
+showArchivedInput.addEventListener('change', () => {
+  loadTournamentList();
+});
+
+// Recreate a tournament from a file downloaded with "Export Tournament"
+importTournamentBtn.addEventListener('click', () => {
+  const file = importTournamentFileInput.files[0];
+  importTournamentError.style.display = 'none';
+  if (!file) {
+    importTournamentError.textContent = 'Please choose an export file first.';
+    importTournamentError.style.display = 'block';
+    return;
+  }
+  importTournamentBtn.disabled = true;
+  file.text()
+    .then((text) => apiFetch('/tournaments/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ bundle: JSON.parse(text), preserveId: importPreserveIdInput.checked }),
+    }))
+    .then((res) => res.json())
+    .then((data) => {
+      importTournamentBtn.disabled = false;
+      if (data.error) {
+        importTournamentError.textContent = data.error;
+        importTournamentError.style.display = 'block';
+        return;
+      }
+      importTournamentFileInput.value = '';
+      importPreserveIdInput.checked = false;
+      loadTournamentList();
+      openTournament(data.id, data.name);
+    })
+    .catch((err) => {
+      console.error(err);
+      importTournamentBtn.disabled = false;
+      importTournamentError.textContent = 'The file could not be imported.';
+      importTournamentError.style.display = 'block';
+    });
+});
 
 /**
  * Fetch the list of tournaments from the server and render them into
  * the tournament list section. Each tournament entry includes a
- * button to open that tournament. If no tournaments exist a
+ * button to open that tournament, plus buttons for admins to rename,
+ * archive, clone or delete it. Archived tournaments are only listed
+ * while "Show archived" is ticked. If no tournaments exist a
  * placeholder message is displayed.
  */
 function loadTournamentList() {
   tournamentList.innerHTML = '';
-  fetch('/tournaments')
+  apiFetch(showArchivedInput.checked ? '/tournaments?includeArchived=true' : '/tournaments')
     .then((res) => res.json())
     .then((data) => {
       if (!data || !Array.isArray(data.tournaments)) {
         tournamentList.innerHTML = '<li>Error loading tournaments.</li>';
         return;
       }
+      newUserTournamentsSelect.innerHTML = data.tournaments
+        .map((t) => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`)
+        .join('');
       if (data.tournaments.length === 0) {
         tournamentList.innerHTML = '<li>No tournaments found.</li>';
         return;
@@ -65,14 +438,22 @@ function loadTournamentList() {
         const nameSpan = document.createElement('span');
         nameSpan.className = 'tournament-name';
         nameSpan.textContent = t.name;
+        if (t.archived) {
+          li.classList.add('archived');
+          nameSpan.textContent += ' (archived)';
+        }
         li.appendChild(nameSpan);
+        const actions = document.createElement('span');
+        actions.className = 'tournament-actions';
         const openBtn = document.createElement('button');
         openBtn.className = 'open-tournament-btn';
         openBtn.textContent = 'Open';
         openBtn.addEventListener('click', () => {
           openTournament(t.id, t.name);
         });
-        li.appendChild(openBtn);
+        actions.appendChild(openBtn);
+        actions.appendChild(createTournamentManageButtons(t));
+        li.appendChild(actions);
         tournamentList.appendChild(li);
       });
     })
@@ -82,9 +463,80 @@ function loadTournamentList() {
     });
 }
 
+/**
+ * Create the admin buttons of a tournament list entry: rename, archive
+ * or restore, start a new season (clone) and delete.
+ *
+ * @param {{id: string, name: string, archived?: boolean}} t
+ * @returns {HTMLElement}
+ */
+function createTournamentManageButtons(t) {
+  const wrapper = document.createElement('span');
+  wrapper.className = 'admin-only';
+  const addButton = (label, handler) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.addEventListener('click', handler);
+    wrapper.appendChild(btn);
+  };
+  addButton('Rename', () => {
+    const name = prompt('New name for the tournament:', t.name);
+    if (name === null || name.trim() === t.name) return;
+    manageTournament(`/tournaments/${t.id}`, 'PATCH', { name }, 'renaming the tournament');
+  });
+  addButton(t.archived ? 'Unarchive' : 'Archive', () => {
+    manageTournament(`/tournaments/${t.id}`, 'PATCH', { archived: !t.archived }, 'archiving the tournament');
+  });
+  addButton('New Season', () => {
+    const name = prompt('Name of the new season (same teams, no results):', `${t.name} (copy)`);
+    if (name === null) return;
+    manageTournament(`/tournaments/${t.id}/clone`, 'POST', { name }, 'creating the new season');
+  });
+  addButton('Delete', () => {
+    const typed = prompt(`This deletes "${t.name}" with all its results and logos for good. Type the tournament name to confirm:`);
+    if (typed === null) return;
+    if (typed !== t.name) {
+      alert('The name did not match; nothing was deleted.');
+      return;
+    }
+    manageTournament(`/tournaments/${t.id}?confirm=${encodeURIComponent(typed)}`, 'DELETE', null, 'deleting the tournament');
+  });
+  return wrapper;
+}
+
+/**
+ * Send a tournament management request and refresh the list.
+ *
+ * @param {string} url
+ * @param {string} method
+ * @param {Object|null} body
+ * @param {string} action Describes the request in error messages
+ */
+function manageTournament(url, method, body, action) {
+  const options = { method };
+  if (body) {
+    options.headers = { 'Content-Type': 'application/json' };
+    options.body = JSON.stringify(body);
+  }
+  apiFetch(url, options)
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      loadTournamentList();
+    })
+    .catch((err) => {
+      console.error(err);
+      alert(`An error occurred while ${action}.`);
+    });
+}
+
 /**
  * Create a new team input row. Each row contains a text input for
- * the team name, a file input for the logo and a remove button.
+ * the team name, a file input for the logo, an optional group name
+ * and a remove button.
  * Removing a row updates the visibility of remove buttons.
  *
  * @returns {HTMLElement} The created row element.
@@ -100,6 +552,10 @@ function createTeamRow() {
   logoInput.type = 'file';
   logoInput.accept = 'image/*';
   logoInput.className = 'team-logo-input';
+  const groupInput = document.createElement('input');
+  groupInput.type = 'text';
+  groupInput.className = 'team-group-input';
+  groupInput.placeholder = 'Group (optional)';
   const removeBtn = document.createElement('button');
   removeBtn.type = 'button';
   removeBtn.className = 'remove-team-btn';
@@ -110,6 +566,7 @@ function createTeamRow() {
   });
   row.appendChild(nameInput);
   row.appendChild(logoInput);
+  row.appendChild(groupInput);
   row.appendChild(removeBtn);
   return row;
 }
@@ -155,11 +612,21 @@ createTournamentBtn.addEventListener('click', async () => {
   }
   const rows = teamsContainer.querySelectorAll('.team-row');
   const teamPromises = [];
+  const groupMap = {};
+  let ungrouped = 0;
   rows.forEach((row) => {
     const nameInput = row.querySelector('.team-name-input');
     const logoInput = row.querySelector('.team-logo-input');
+    const groupInput = row.querySelector('.team-group-input');
     const teamName = nameInput.value.trim();
     if (teamName) {
+      const groupName = groupInput ? groupInput.value.trim().toUpperCase() : '';
+      if (groupName) {
+        if (!groupMap[groupName]) groupMap[groupName] = [];
+        groupMap[groupName].push(teamName);
+      } else {
+        ungrouped += 1;
+      }
       let promise;
       if (logoInput.files && logoInput.files[0]) {
         promise = readFileAsDataURL(logoInput.files[0])
@@ -180,12 +647,52 @@ createTournamentBtn.addEventListener('click', async () => {
     createError.style.display = 'block';
     return;
   }
+  const groupNames = Object.keys(groupMap).sort();
+  if (tournamentFormatSelect.value !== 'league' && groupNames.length) {
+    createError.textContent = 'Only league tournaments use groups.';
+    createError.style.display = 'block';
+    return;
+  }
+  if (groupNames.length && ungrouped) {
+    createError.textContent = 'Either give every team a group or leave all groups empty.';
+    createError.style.display = 'block';
+    return;
+  }
   try {
     const teams = await Promise.all(teamPromises);
-    const res = await fetch('/tournaments', {
+    const legs = parseInt(tournamentLegsSelect.value, 10) || 1;
+    const points = readPointsConfig();
+    const tiebreakers = tournamentTiebreakersSelect.value.split(',');
+    const playoff = {
+      qualifiers: parseInt(playoffQualifiersSelect.value, 10),
+      thirdPlace: playoffThirdPlaceInput.checked,
+      twoLeggedRounds: playoffTwoLeggedSelect.value ? playoffTwoLeggedSelect.value.split(',') : [],
+      awayGoals: playoffAwayGoalsInput.checked,
+    };
+    const format = tournamentFormatSelect.value;
+    const discipline = {
+      yellowCardsForBan: disciplineYellowsInput.value.trim() === '' ? null : Number(disciplineYellowsInput.value),
+      suspendedPlayers: disciplineSuspendedSelect.value,
+    };
+    const payload = { name, teams, format, legs, points, tiebreakers, playoff, discipline };
+    if (registrationLockRoundInput.value.trim() !== '') {
+      payload.registration = { lockAfterRound: Number(registrationLockRoundInput.value) };
+    }
+    if (format === 'knockout') {
+      payload.draw = tournamentDrawSelect.value;
+    } else if (format === 'swiss') {
+      payload.swissRounds = parseInt(swissRoundsInput.value, 10);
+    } else if (groupNames.length) {
+      payload.groups = groupNames.map((g) => ({ name: g, teams: groupMap[g] }));
+      // With groups the number of qualifiers follows from these two settings
+      delete playoff.qualifiers;
+      playoff.perGroup = parseInt(playoffPerGroupInput.value, 10) || 2;
+      playoff.bestThirds = parseInt(playoffBestThirdsInput.value, 10) || 0;
+    }
+    const res = await apiFetch('/tournaments', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name, teams }),
+      body: JSON.stringify(payload),
     });
     const data = await res.json();
     if (data.error) {
@@ -194,6 +701,24 @@ createTournamentBtn.addEventListener('click', async () => {
     } else {
       // Reset form: clear tournament name and rebuild single empty team row
       tournamentNameInput.value = '';
+      tournamentFormatSelect.value = 'league';
+      tournamentDrawSelect.value = 'seeded';
+      swissRoundsInput.value = '';
+      tournamentLegsSelect.value = '1';
+      pointsWinInput.value = '3';
+      pointsDrawInput.value = '1';
+      pointsLossInput.value = '0';
+      bonusMarginInput.value = '';
+      tournamentTiebreakersSelect.selectedIndex = 0;
+      playoffQualifiersSelect.value = '4';
+      playoffThirdPlaceInput.checked = false;
+      playoffTwoLeggedSelect.value = '';
+      playoffAwayGoalsInput.checked = false;
+      playoffPerGroupInput.value = '2';
+      playoffBestThirdsInput.value = '0';
+      registrationLockRoundInput.value = '';
+      disciplineYellowsInput.value = '3';
+      disciplineSuspendedSelect.value = 'reject';
       teamsContainer.innerHTML = '<h3>Teams</h3>';
       const firstRow = createTeamRow();
       teamsContainer.appendChild(firstRow);
@@ -209,6 +734,25 @@ createTournamentBtn.addEventListener('click', async () => {
   }
 });
 
+/**
+ * Build the points configuration from the create form. Empty fields
+ * are left out so the server applies its defaults; a bonus margin adds
+ * a single one‑point bonus rule for winning by that many goals.
+ *
+ * @returns {Object}
+ */
+function readPointsConfig() {
+  const points = {};
+  const fields = { win: pointsWinInput, draw: pointsDrawInput, loss: pointsLossInput };
+  Object.keys(fields).forEach((key) => {
+    const value = fields[key].value.trim();
+    if (value !== '') points[key] = parseInt(value, 10);
+  });
+  const margin = parseInt(bonusMarginInput.value.trim(), 10);
+  points.bonus = isNaN(margin) ? [] : [{ type: 'winMargin', margin, points: 1 }];
+  return points;
+}
+
 /**
  * Convert a File object to a base64 data URL. Returns a promise
  * which resolves with the data URL or rejects on error.
@@ -228,8 +772,8 @@ function readFileAsDataURL(file) {
 /**
  * Open a specific tournament by ID. Sets the current tournament
  * context, hides the list and create sections, shows the current
- * tournament section and loads the schedule and scoreboard. Any
- * previous state is reset.
+ * tournament section and loads the tournament settings, schedule and
+ * scoreboard. Any previous state is reset.
  *
  * @param {string} id
  * @param {string} name
@@ -237,45 +781,182 @@ function readFileAsDataURL(file) {
 function openTournament(id, name) {
   currentTournamentId = id;
   currentTournamentName = name;
+  tournamentInfo = null;
   scheduleData = null;
   matchCount = 0;
   scoreboardData = null;
+  matchEvents = {};
+  updatePermissions();
+  openLiveUpdates(id);
   // Update UI
   currentTournamentTitle.textContent = `Tournament: ${name}`;
+  exportTournamentLink.href = `/tournaments/${id}/export`;
+  fixturesCsvLink.href = `/tournaments/${id}/fixtures.csv`;
+  resultsCsvLink.href = `/tournaments/${id}/results.csv`;
+  standingsCsvLink.href = `/tournaments/${id}/standings.csv`;
+  importSummary.textContent = '';
+  importErrorsList.innerHTML = '';
   tournamentListSection.style.display = 'none';
   createTournamentSection.style.display = 'none';
   currentTournamentSection.style.display = 'block';
   // Clear previous contents
   scheduleContainer.innerHTML = '';
   scoreboardTable.innerHTML = '';
+  groupTablesContainer.innerHTML = '';
   playoffContainer.innerHTML = '';
+  leaderboardContainer.innerHTML = '';
   scheduleSection.style.display = 'none';
   scoreboardSection.style.display = 'none';
   playoffSection.style.display = 'none';
-  // Fetch data
-  loadSchedule();
-  loadScoreboard();
+  leaderboardSection.style.display = 'none';
+  squadSection.style.display = 'none';
+  squadTable.innerHTML = '';
+  disciplineSection.style.display = 'none';
+  historySection.style.display = 'none';
+  historyList.innerHTML = '';
+  nextRoundBtn.style.display = 'none';
+  // Fetch settings first so the scoreboard knows which columns to show
+  loadTournamentInfo().then(() => {
+    loadSchedule();
+    loadScoreboard();
+  });
+}
+
+/**
+ * Load the current tournament's settings (legs, points system). Always
+ * resolves; on failure the defaults are assumed.
+ *
+ * @returns {Promise<void>}
+ */
+function loadTournamentInfo() {
+  if (!currentTournamentId) return Promise.resolve();
+  return apiFetch(`/tournaments/${currentTournamentId}`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data || data.error) {
+        console.error(data && data.error);
+        return;
+      }
+      tournamentInfo = data.tournament;
+      // The tournament may have been renamed since it was opened
+      currentTournamentName = tournamentInfo.name;
+      currentTournamentTitle.textContent = `Tournament: ${tournamentInfo.name}`;
+    })
+    .catch((err) => console.error(err));
 }
 
 // Handle returning to the tournament list
 backToListBtn.addEventListener('click', () => {
+  closeLiveUpdates();
   currentTournamentId = null;
   currentTournamentName = '';
+  tournamentInfo = null;
   scheduleData = null;
   matchCount = 0;
   scoreboardData = null;
   scheduleContainer.innerHTML = '';
   scoreboardTable.innerHTML = '';
+  groupTablesContainer.innerHTML = '';
   playoffContainer.innerHTML = '';
+  leaderboardContainer.innerHTML = '';
   scheduleSection.style.display = 'none';
   scoreboardSection.style.display = 'none';
   playoffSection.style.display = 'none';
+  leaderboardSection.style.display = 'none';
+  squadSection.style.display = 'none';
+  disciplineSection.style.display = 'none';
+  historySection.style.display = 'none';
+  updatePermissions();
   tournamentListSection.style.display = 'block';
   createTournamentSection.style.display = 'block';
   currentTournamentSection.style.display = 'none';
   loadTournamentList();
 });
 
+/**
+ * Subscribe to a tournament's live updates so results, tables and the
+ * bracket refresh as soon as anyone changes them. The browser retries
+ * dropped connections by itself; if it gives up, a new stream is opened
+ * with a growing delay. Every reconnect reloads the tournament, since
+ * changes made in the meantime are not replayed.
+ *
+ * @param {string} id
+ */
+function openLiveUpdates(id) {
+  closeLiveUpdates();
+  if (typeof EventSource === 'undefined') return;
+  let connectedBefore = false;
+  const connect = () => {
+    liveSource = new EventSource(`/tournaments/${id}/events`);
+    liveSource.addEventListener('ready', () => {
+      liveRetryDelay = 1000;
+      if (connectedBefore) scheduleLiveReload('all');
+      connectedBefore = true;
+    });
+    liveSource.addEventListener('scoreboard', () => scheduleLiveReload('scoreboard'));
+    liveSource.addEventListener('knockout', () => scheduleLiveReload('scoreboard'));
+    liveSource.addEventListener('schedule', () => scheduleLiveReload('all'));
+    liveSource.addEventListener('tournament', () => scheduleLiveReload('all'));
+    liveSource.addEventListener('deleted', () => {
+      alert('This tournament has been deleted.');
+      backToListBtn.click();
+    });
+    liveSource.addEventListener('error', () => {
+      if (liveSource.readyState !== EventSource.CLOSED) return;
+      liveSource = null;
+      liveReconnectTimer = setTimeout(connect, liveRetryDelay);
+      liveRetryDelay = Math.min(liveRetryDelay * 2, 30000);
+    });
+  };
+  connect();
+}
+
+/**
+ * Stop listening for live updates.
+ */
+function closeLiveUpdates() {
+  if (liveSource) liveSource.close();
+  liveSource = null;
+  clearTimeout(liveReconnectTimer);
+  clearTimeout(liveReloadTimer);
+  liveReloadAll = false;
+  liveRetryDelay = 1000;
+}
+
+/**
+ * Reload after a live update. Bursts of updates are combined into one
+ * reload; `all` also reloads the settings and fixtures.
+ *
+ * @param {string} scope `scoreboard` or `all`
+ */
+function scheduleLiveReload(scope) {
+  liveReloadAll = liveReloadAll || scope === 'all';
+  clearTimeout(liveReloadTimer);
+  liveReloadTimer = setTimeout(() => {
+    const reloadAll = liveReloadAll;
+    liveReloadTimer = null;
+    liveReloadAll = false;
+    if (!currentTournamentId) return;
+    if (reloadAll) {
+      loadTournamentInfo().then(() => {
+        loadSchedule();
+        loadScoreboard();
+      });
+    } else {
+      loadScoreboard();
+    }
+  }, 200);
+}
+
+/**
+ * Whether the current tournament is a straight knockout cup.
+ *
+ * @returns {boolean}
+ */
+function isKnockoutFormat() {
+  return !!(tournamentInfo && tournamentInfo.format === 'knockout');
+}
+
 /**
  * Load the round‑robin schedule for the current tournament and render
  * it. If the request fails a message is logged. Once loaded the
@@ -283,7 +964,7 @@ backToListBtn.addEventListener('click', () => {
  */
 function loadSchedule() {
   if (!currentTournamentId) return;
-  fetch(`/tournaments/${currentTournamentId}/schedule`)
+  apiFetch(`/tournaments/${currentTournamentId}/schedule`)
     .then((res) => res.json())
     .then((data) => {
       if (!data || data.error) {
@@ -293,229 +974,1172 @@ function loadSchedule() {
       scheduleData = data.schedule;
       matchCount = computeMatchCount(scheduleData);
       renderSchedule(scheduleData);
-      scheduleSection.style.display = 'block';
+      fillCalendarForm();
+      // Knockout cups have no league fixtures to show
+      scheduleSection.style.display = isKnockoutFormat() ? 'none' : 'block';
     })
     .catch((err) => console.error(err));
 }
 
 /**
- * Load the scoreboard for the current tournament. When loaded the
- * scoreboard is rendered, the schedule is updated to reflect any
- * recorded results, and the playoff section is updated accordingly.
+ * Fill the calendar settings form from the current tournament, or with
+ * blank defaults when its fixtures have no dates yet. Conflicts with
+ * team availability are fetched for tournaments that have a calendar.
  */
-function loadScoreboard() {
-  if (!currentTournamentId) return;
-  fetch(`/tournaments/${currentTournamentId}/scoreboard`)
+function fillCalendarForm() {
+  const calendar = tournamentInfo && tournamentInfo.calendar;
+  calendarError.style.display = 'none';
+  renderCalendarConflicts([]);
+  calendarStartInput.value = calendar ? calendar.startDate : '';
+  calendarEndInput.value = calendar && calendar.endDate ? calendar.endDate : '';
+  calendarDaysContainer.querySelectorAll('input[type="checkbox"]').forEach((box) => {
+    box.checked = calendar ? calendar.matchDays.includes(box.value) : box.value === 'sat';
+  });
+  calendarTimesInput.value = calendar ? calendar.kickoffTimes.join(', ') : '';
+  calendarPitchesInput.value = calendar ? calendar.pitches.join(', ') : '';
+  calendarRestInput.value = calendar ? calendar.minRestHours : '24';
+  if (!calendar) return;
+  apiFetch(`/tournaments/${currentTournamentId}/calendar/conflicts`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (data && Array.isArray(data.conflicts)) renderCalendarConflicts(data.conflicts);
+    })
+    .catch((err) => console.error(err));
+}
+
+/**
+ * List the fixtures the calendar could not place or that clash with a
+ * team's unavailability.
+ *
+ * @param {Array<{home: string, away: string, reason: string}>} conflicts
+ */
+function renderCalendarConflicts(conflicts) {
+  calendarConflictsList.innerHTML = '';
+  conflicts.forEach((conflict) => {
+    const li = document.createElement('li');
+    li.textContent = `${conflict.home} vs ${conflict.away}: ${conflict.reason}`;
+    calendarConflictsList.appendChild(li);
+  });
+}
+
+/**
+ * Fill the availability team picker with the current tournament's
+ * teams, keeping the selection where possible, and show the selected
+ * team's unavailability.
+ */
+function fillAvailabilityTeams() {
+  const selected = availabilityTeamSelect.value;
+  const teams = scoreboardData && scoreboardData.scoreboard ? Object.keys(scoreboardData.scoreboard) : [];
+  availabilityTeamSelect.innerHTML = teams
+    .map((team) => `<option value="${escapeHtml(team)}">${escapeHtml(team)}</option>`)
+    .join('');
+  if (teams.includes(selected)) availabilityTeamSelect.value = selected;
+  loadAvailability();
+}
+
+/**
+ * Load and list the unavailability of the team selected in the
+ * availability picker. Each entry can be removed again.
+ */
+function loadAvailability() {
+  availabilityList.innerHTML = '';
+  const team = availabilityTeamSelect.value;
+  if (!currentTournamentId || !team) return;
+  apiFetch(`/tournaments/${currentTournamentId}/teams/${encodeURIComponent(team)}/availability`)
     .then((res) => res.json())
     .then((data) => {
       if (!data || data.error) {
         console.error(data && data.error);
         return;
       }
-      scoreboardData = data;
-      renderScoreboard(data.scoreboard);
-      scoreboardSection.style.display = 'block';
-      updateScheduleFromScoreboard();
-      updatePlayoffSection();
+      renderAvailability(team, data.unavailable);
     })
     .catch((err) => console.error(err));
 }
 
 /**
- * Render the schedule into the schedule container. Each match row
- * includes inputs for entering scores and a button to submit or
- * edit those scores. Logos are included when available. Button
- * handlers call the appropriate API endpoints using the current
- * tournament ID.
+ * Render a team's unavailability entries with remove buttons.
  *
- * @param {Array<Array<{id: string, home: string, away: string}>>} schedule
+ * @param {string} team
+ * @param {Array<{start: string, end: string, reason: string|null}>} unavailable
  */
-function renderSchedule(schedule) {
-  scheduleContainer.innerHTML = '';
-  if (!schedule) return;
-  schedule.forEach((round, roundIndex) => {
-    const roundDiv = document.createElement('div');
-    roundDiv.className = 'round';
-    const header = document.createElement('div');
-    header.className = 'round-header';
-    header.textContent = `Round ${roundIndex + 1}`;
-    roundDiv.appendChild(header);
-    round.forEach((match) => {
-      const matchDiv = document.createElement('div');
-      matchDiv.className = 'match';
-      matchDiv.dataset.id = match.id;
-      matchDiv.dataset.hasResult = 'false';
-      matchDiv.dataset.editing = 'false';
-      // Team labels with logos when available
-      const teamsEl = document.createElement('div');
-      teamsEl.className = 'teams';
-      if (scoreboardData && scoreboardData.scoreboard) {
-        const h = scoreboardData.scoreboard[match.home];
-        const a = scoreboardData.scoreboard[match.away];
-        const hLogo = h && h.logo ? `<img src="${h.logo}" class="team-logo" alt="${escapeHtml(match.home)} logo">` : '';
-        const aLogo = a && a.logo ? `<img src="${a.logo}" class="team-logo" alt="${escapeHtml(match.away)} logo">` : '';
-        teamsEl.innerHTML = `${hLogo}${escapeHtml(match.home)} vs ${aLogo}${escapeHtml(match.away)}`;
-      } else {
-        teamsEl.textContent = `${match.home} vs ${match.away}`;
-      }
-      matchDiv.appendChild(teamsEl);
-      // Inputs and submit/edit button
-      const inputsDiv = document.createElement('div');
-      inputsDiv.className = 'result-inputs';
-      const homeInput = document.createElement('input');
-      homeInput.type = 'number';
-      homeInput.min = '0';
-      homeInput.placeholder = '0';
-      const awayInput = document.createElement('input');
-      awayInput.type = 'number';
-      awayInput.min = '0';
-      awayInput.placeholder = '0';
-      const button = document.createElement('button');
-      button.textContent = 'Submit';
-      button.className = 'submit-result-btn';
-      button.addEventListener('click', () => {
-        const hasResult = matchDiv.dataset.hasResult === 'true';
-        const editing = matchDiv.dataset.editing === 'true';
-        if (!hasResult) {
-          const hVal = homeInput.value.trim();
-          const aVal = awayInput.value.trim();
-          if (hVal === '' || aVal === '') {
-            alert('Please enter scores for both teams.');
-            return;
-          }
-          const hScore = parseInt(hVal, 10);
-          const aScore = parseInt(aVal, 10);
-          if (isNaN(hScore) || isNaN(aScore) || hScore < 0 || aScore < 0) {
-            alert('Scores must be non‑negative integers.');
-            return;
-          }
-          button.disabled = true;
-          homeInput.disabled = true;
-          awayInput.disabled = true;
-          fetch(`/tournaments/${currentTournamentId}/update-score`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ id: match.id, home: match.home, away: match.away, homeScore: hScore, awayScore: aScore }),
-          })
-            .then((res) => res.json())
-            .then((data) => {
-              if (data.error) {
-                alert(data.error);
-                button.disabled = false;
-                homeInput.disabled = false;
-                awayInput.disabled = false;
-              } else {
-                matchDiv.dataset.hasResult = 'true';
-                matchDiv.dataset.editing = 'false';
-                button.textContent = 'Edit';
-                button.disabled = false;
-                loadScoreboard();
-              }
-            })
-            .catch((err) => {
-              console.error(err);
-              alert('An error occurred while submitting the result.');
-              button.disabled = false;
-              homeInput.disabled = false;
-              awayInput.disabled = false;
-            });
-        } else {
-          if (!editing) {
-            matchDiv.dataset.editing = 'true';
-            button.textContent = 'Save';
-            homeInput.disabled = false;
-            awayInput.disabled = false;
-          } else {
-            const hVal = homeInput.value.trim();
-            const aVal = awayInput.value.trim();
-            if (hVal === '' || aVal === '') {
-              alert('Please enter scores for both teams.');
-              return;
-            }
-            const hScore = parseInt(hVal, 10);
-            const aScore = parseInt(aVal, 10);
-            if (isNaN(hScore) || isNaN(aScore) || hScore < 0 || aScore < 0) {
-              alert('Scores must be non‑negative integers.');
-              return;
-            }
-            button.disabled = true;
-            homeInput.disabled = true;
-            awayInput.disabled = true;
-            fetch(`/tournaments/${currentTournamentId}/update-score`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ id: match.id, home: match.home, away: match.away, homeScore: hScore, awayScore: aScore }),
-            })
-              .then((res) => res.json())
-              .then((data) => {
-                if (data.error) {
-                  alert(data.error);
-                  button.disabled = false;
-                  homeInput.disabled = false;
-                  awayInput.disabled = false;
-                } else {
-                  matchDiv.dataset.hasResult = 'true';
-                  matchDiv.dataset.editing = 'false';
-                  button.textContent = 'Edit';
-                  button.disabled = false;
-                  loadScoreboard();
-                }
-              })
-              .catch((err) => {
-                console.error(err);
-                alert('An error occurred while submitting the result.');
-                button.disabled = false;
-                homeInput.disabled = false;
-                awayInput.disabled = false;
-              });
-          }
-        }
-      });
-      inputsDiv.appendChild(homeInput);
-      inputsDiv.appendChild(document.createTextNode(' - '));
-      inputsDiv.appendChild(awayInput);
-      inputsDiv.appendChild(button);
-      matchDiv.appendChild(inputsDiv);
-      roundDiv.appendChild(matchDiv);
+function renderAvailability(team, unavailable) {
+  availabilityList.innerHTML = '';
+  unavailable.forEach((entry, index) => {
+    const li = document.createElement('li');
+    li.textContent = `${entry.start.replace('T', ' ')} – ${entry.end.replace('T', ' ')}${entry.reason ? ` (${entry.reason})` : ''}`;
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      saveAvailability(team, unavailable.filter((_, i) => i !== index));
     });
-    scheduleContainer.appendChild(roundDiv);
+    li.appendChild(removeBtn);
+    availabilityList.appendChild(li);
   });
 }
 
 /**
- * Render the scoreboard as a table. Teams are sorted by points,
- * then goal difference, then goals scored. The first row is
- * highlighted by CSS. Logos appear before team names when
- * available.
+ * Replace a team's unavailability on the server. Fixtures already on
+ * the calendar keep their dates; any that now clash are listed as
+ * conflicts.
  *
- * @param {Object} scoreboard The scoreboard data from the server.
+ * @param {string} team
+ * @param {Array<Object>} unavailable
  */
-function renderScoreboard(scoreboard) {
-  const rows = Object.keys(scoreboard).map((team) => {
-    return { team, ...scoreboard[team] };
-  });
-  // Sort standings
-  rows.sort((a, b) => {
-    if (b.points !== a.points) return b.points - a.points;
-    if (b.goalDifference !== a.goalDifference) return b.goalDifference - a.goalDifference;
-    if (b.goalsFor !== a.goalsFor) return b.goalsFor - a.goalsFor;
-    return a.team.localeCompare(b.team);
-  });
-  let html = '<thead><tr>';
-  html += '<th>Team</th>';
-  html += '<th>Played</th>';
-  html += '<th>Wins</th>';
-  html += '<th>Draws</th>';
-  html += '<th>Losses</th>';
-  html += '<th>GF</th>';
+function saveAvailability(team, unavailable) {
+  apiFetch(`/tournaments/${currentTournamentId}/teams/${encodeURIComponent(team)}/availability`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ unavailable }),
+  })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      renderAvailability(team, data.unavailable);
+      renderCalendarConflicts(data.conflicts);
+    })
+    .catch((err) => {
+      console.error(err);
+      alert('An error occurred while saving availability.');
+    });
+}
+
+availabilityTeamSelect.addEventListener('change', loadAvailability);
+
+// Names of the squad positions, by code
+const PLAYER_POSITIONS = { GK: 'Goalkeeper', DF: 'Defender', MF: 'Midfielder', FW: 'Forward' };
+
+/**
+ * Fill the squad team picker with the current tournament's teams,
+ * keeping the selection where possible, and show the selected squad.
+ */
+function fillSquadTeams() {
+  const selected = squadTeamSelect.value;
+  const teams = scoreboardData && scoreboardData.scoreboard ? Object.keys(scoreboardData.scoreboard) : [];
+  squadTeamSelect.innerHTML = teams
+    .map((team) => `<option value="${escapeHtml(team)}">${escapeHtml(team)}</option>`)
+    .join('');
+  if (teams.includes(selected)) squadTeamSelect.value = selected;
+  squadSection.style.display = teams.length ? 'block' : 'none';
+  loadSquad();
+}
+
+/**
+ * Load the squad of the team selected in the squad picker together
+ * with the registration status.
+ */
+function loadSquad() {
+  const team = squadTeamSelect.value;
+  if (!currentTournamentId || !team) return;
+  apiFetch(`/tournaments/${currentTournamentId}/teams/${encodeURIComponent(team)}/players`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data || data.error) {
+        console.error(data && data.error);
+        return;
+      }
+      renderSquad(team, data.players, data.registration);
+    })
+    .catch((err) => console.error(err));
+}
+
+/**
+ * Render a squad as a table with edit and remove buttons per player.
+ * Once registration has closed the squad is shown read‑only.
+ *
+ * @param {string} team
+ * @param {Array<{id: string, name: string, number: number, position: string}>} players
+ * @param {{lockAfterRound: number|null, lastPlayedRound: number, locked: boolean}} registration
+ */
+function renderSquad(team, players, registration) {
+  const { locked, lockAfterRound } = registration;
+  if (locked) {
+    squadStatus.textContent = `Registration closed after round ${lockAfterRound}.`;
+  } else if (lockAfterRound !== null) {
+    squadStatus.textContent = `Registration open until round ${lockAfterRound} has been played.`;
+  } else {
+    squadStatus.textContent = 'Registration open.';
+  }
+  squadLockRoundInput.value = lockAfterRound === null ? '' : lockAfterRound;
+  addPlayerBtn.disabled = locked;
+  squadTable.innerHTML = players.length
+    ? '<thead><tr><th>No.</th><th>Name</th><th>Position</th><th></th></tr></thead>'
+    : '<tbody><tr><td>No players registered.</td></tr></tbody>';
+  const tbody = document.createElement('tbody');
+  players.forEach((player) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${player.number}</td><td>${escapeHtml(player.name)}</td><td>${PLAYER_POSITIONS[player.position] || player.position}</td><td></td>`;
+    if (!locked) {
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => {
+        const name = prompt('Player name', player.name);
+        if (name === null) return;
+        const number = prompt('Shirt number', player.number);
+        if (number === null) return;
+        const position = prompt('Position (GK, DF, MF or FW)', player.position);
+        if (position === null) return;
+        submitPlayer('PUT', team, player.id, { name, number: Number(number), position });
+      });
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        if (confirm(`Remove ${player.name} from the ${team} squad?`)) submitPlayer('DELETE', team, player.id);
+      });
+      editBtn.className = 'admin-only';
+      removeBtn.className = 'admin-only';
+      tr.lastChild.appendChild(editBtn);
+      tr.lastChild.appendChild(removeBtn);
+    }
+    tbody.appendChild(tr);
+  });
+  if (players.length) squadTable.appendChild(tbody);
+}
+
+/**
+ * Add, update or remove a squad player and redraw the squad.
+ *
+ * @param {string} method POST, PUT or DELETE
+ * @param {string} team
+ * @param {string|null} playerId Null when adding a player
+ * @param {Object} [player]
+ * @returns {Promise<boolean>} Whether the change was saved
+ */
+function submitPlayer(method, team, playerId, player) {
+  const base = `/tournaments/${currentTournamentId}/teams/${encodeURIComponent(team)}/players`;
+  const options = { method, headers: { 'Content-Type': 'application/json' } };
+  if (player) options.body = JSON.stringify(player);
+  return apiFetch(playerId ? `${base}/${encodeURIComponent(playerId)}` : base, options)
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return false;
+      }
+      loadSquad();
+      return true;
+    })
+    .catch((err) => {
+      console.error(err);
+      alert('An error occurred while saving the squad.');
+      return false;
+    });
+}
+
+squadTeamSelect.addEventListener('change', loadSquad);
+
+// Register a new player with the selected team
+addPlayerBtn.addEventListener('click', () => {
+  const team = squadTeamSelect.value;
+  const name = playerNameInput.value.trim();
+  if (!team || !name || playerNumberInput.value.trim() === '') {
+    alert('Please enter the player name and shirt number.');
+    return;
+  }
+  const player = { name, number: Number(playerNumberInput.value), position: playerPositionSelect.value };
+  submitPlayer('POST', team, null, player).then((saved) => {
+    if (!saved) return;
+    playerNameInput.value = '';
+    playerNumberInput.value = '';
+  });
+});
+
+// Change the round after which squads are locked
+saveRegistrationBtn.addEventListener('click', () => {
+  const value = squadLockRoundInput.value.trim();
+  apiFetch(`/tournaments/${currentTournamentId}/registration`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ lockAfterRound: value === '' ? null : Number(value) }),
+  })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      loadSquad();
+    })
+    .catch((err) => {
+      console.error(err);
+      alert('An error occurred while saving the registration settings.');
+    });
+});
+
+/**
+ * Fill the calendar export picker with "All teams" plus every team of
+ * the current tournament and point the download link at the feed.
+ */
+function fillIcsTeams() {
+  const selected = icsTeamSelect.value;
+  const teams = scoreboardData && scoreboardData.scoreboard ? Object.keys(scoreboardData.scoreboard) : [];
+  icsTeamSelect.innerHTML = '<option value="">All teams</option>' + teams
+    .map((team) => `<option value="${escapeHtml(team)}">${escapeHtml(team)}</option>`)
+    .join('');
+  if (teams.includes(selected)) icsTeamSelect.value = selected;
+  updateIcsLink();
+}
+
+/**
+ * Point the calendar download link at the feed for the selected team,
+ * or the whole tournament.
+ */
+function updateIcsLink() {
+  const team = icsTeamSelect.value;
+  icsLink.href = `/tournaments/${currentTournamentId}/calendar.ics${team ? `?team=${encodeURIComponent(team)}` : ''}`;
+}
+
+icsTeamSelect.addEventListener('change', updateIcsLink);
+
+// Import results from the chosen CSV file; valid rows are applied and the rest listed
+importResultsBtn.addEventListener('click', () => {
+  const file = resultsCsvFileInput.files[0];
+  if (!file || !currentTournamentId) {
+    alert('Please choose a CSV file first.');
+    return;
+  }
+  importSummary.textContent = '';
+  importErrorsList.innerHTML = '';
+  importResultsBtn.disabled = true;
+  file.text()
+    .then((csv) => apiFetch(`/tournaments/${currentTournamentId}/results/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ csv }),
+    }))
+    .then((res) => res.json())
+    .then((data) => {
+      importResultsBtn.disabled = false;
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      importSummary.textContent = `Imported ${data.imported} result${data.imported === 1 ? '' : 's'}${data.errors.length ? `, ${data.errors.length} row${data.errors.length === 1 ? '' : 's'} rejected:` : '.'}`;
+      data.errors.forEach((rowError) => {
+        const li = document.createElement('li');
+        li.textContent = `Row ${rowError.row}: ${rowError.error}`;
+        importErrorsList.appendChild(li);
+      });
+      resultsCsvFileInput.value = '';
+      loadScoreboard();
+    })
+    .catch((err) => {
+      console.error(err);
+      importResultsBtn.disabled = false;
+      alert('An error occurred while importing results.');
+    });
+});
+
+// Add an unavailable day, range of days or time window for the selected team
+addAvailabilityBtn.addEventListener('click', () => {
+  const team = availabilityTeamSelect.value;
+  const from = availabilityFromInput.value;
+  if (!team || !from) {
+    alert('Please choose a team and a date.');
+    return;
+  }
+  const until = availabilityUntilInput.value || from;
+  const startTime = availabilityStartTimeInput.value;
+  const endTime = availabilityEndTimeInput.value;
+  const entry = {
+    start: startTime ? `${from}T${startTime}` : from,
+    end: endTime ? `${until}T${endTime}` : until,
+  };
+  if (availabilityReasonInput.value.trim()) entry.reason = availabilityReasonInput.value.trim();
+  apiFetch(`/tournaments/${currentTournamentId}/teams/${encodeURIComponent(team)}/availability`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      saveAvailability(team, data.unavailable.concat(entry));
+      availabilityFromInput.value = '';
+      availabilityUntilInput.value = '';
+      availabilityStartTimeInput.value = '';
+      availabilityEndTimeInput.value = '';
+      availabilityReasonInput.value = '';
+    })
+    .catch((err) => console.error(err));
+});
+
+// Put every fixture on the calendar with the settings from the form
+assignDatesBtn.addEventListener('click', () => {
+  if (!currentTournamentId) return;
+  const splitList = (value) => value.split(',').map((v) => v.trim()).filter((v) => v);
+  const payload = {
+    startDate: calendarStartInput.value,
+    endDate: calendarEndInput.value || null,
+    matchDays: Array.from(calendarDaysContainer.querySelectorAll('input:checked')).map((box) => box.value),
+    kickoffTimes: splitList(calendarTimesInput.value),
+    pitches: splitList(calendarPitchesInput.value),
+  };
+  if (calendarRestInput.value.trim() !== '') payload.minRestHours = Number(calendarRestInput.value);
+  calendarError.style.display = 'none';
+  assignDatesBtn.disabled = true;
+  apiFetch(`/tournaments/${currentTournamentId}/calendar`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  })
+    .then((res) => res.json())
+    .then((data) => {
+      assignDatesBtn.disabled = false;
+      if (data.error) {
+        calendarError.textContent = data.error;
+        calendarError.style.display = 'block';
+        return;
+      }
+      if (tournamentInfo) tournamentInfo.calendar = data.calendar;
+      scheduleData = data.schedule;
+      renderSchedule(scheduleData);
+      updateScheduleFromScoreboard();
+      renderCalendarConflicts(data.conflicts);
+    })
+    .catch((err) => {
+      console.error(err);
+      assignDatesBtn.disabled = false;
+      calendarError.textContent = 'An error occurred while assigning dates.';
+      calendarError.style.display = 'block';
+    });
+});
+
+/**
+ * Load the scoreboard for the current tournament. When loaded the
+ * league table is rendered from the server's standings, the schedule
+ * is updated to reflect any recorded results, and the playoff section
+ * is updated accordingly.
+ */
+function loadScoreboard() {
+  if (!currentTournamentId) return;
+  Promise.all([
+    apiFetch(`/tournaments/${currentTournamentId}/scoreboard`).then((res) => res.json()),
+    apiFetch(`/tournaments/${currentTournamentId}/standings`).then((res) => res.json()),
+  ])
+    .then(([data, table]) => {
+      if (!data || data.error) {
+        console.error(data && data.error);
+        return;
+      }
+      scoreboardData = data;
+      renderScoreboard(table && !table.error ? table : { standings: [] });
+      fillAvailabilityTeams();
+      fillIcsTeams();
+      fillSquadTeams();
+      loadLeaderboards();
+      loadDiscipline();
+      loadHistory();
+      // Knockout cups skip the league table entirely
+      scoreboardSection.style.display = isKnockoutFormat() ? 'none' : 'block';
+      updateScheduleFromScoreboard();
+      updatePlayoffSection();
+    })
+    .catch((err) => console.error(err));
+}
+
+/**
+ * Render the schedule into the schedule container. Each match row
+ * includes inputs for entering scores and a button to submit or
+ * edit those scores. Logos are included when available. Button
+ * handlers call the appropriate API endpoints using the current
+ * tournament ID. Once fixtures have been put on the calendar they are
+ * grouped by date, each showing its kick‑off time and pitch; until
+ * then they are grouped by round.
+ *
+ * @param {Array<Array<{id: string, home: string, away: string, date?: string, time?: string, pitch?: string}>>} schedule
+ */
+function renderSchedule(schedule) {
+  scheduleContainer.innerHTML = '';
+  if (!schedule) return;
+  const createRoundDiv = (title) => {
+    const roundDiv = document.createElement('div');
+    roundDiv.className = 'round';
+    const header = document.createElement('div');
+    header.className = 'round-header';
+    header.textContent = title;
+    roundDiv.appendChild(header);
+    scheduleContainer.appendChild(roundDiv);
+    return roundDiv;
+  };
+  if (schedule.some((round) => round.some((match) => match.date))) {
+    // Calendar view: one block per date, undated fixtures last
+    const fixtures = [];
+    schedule.forEach((round, roundIndex) => {
+      round.forEach((match) => fixtures.push({ match, roundIndex }));
+    });
+    const key = (f) => (f.match.date ? `${f.match.date} ${f.match.time} ${f.match.pitch}` : '~');
+    fixtures.sort((a, b) => key(a).localeCompare(key(b)));
+    let roundDiv = null;
+    let currentDate;
+    fixtures.forEach(({ match, roundIndex }) => {
+      const date = match.date || null;
+      if (!roundDiv || date !== currentDate) {
+        currentDate = date;
+        roundDiv = createRoundDiv(date ? formatScheduleDate(date) : 'Not yet scheduled or postponed');
+      }
+      roundDiv.appendChild(createScheduleMatch(match, roundIndex));
+    });
+    return;
+  }
+  schedule.forEach((round, roundIndex) => {
+    const secondLeg = round.length > 0 && round[0].id.startsWith('l2-');
+    const roundDiv = createRoundDiv(secondLeg ? `Round ${roundIndex + 1} (second leg)` : `Round ${roundIndex + 1}`);
+    roundDiv.dataset.round = roundIndex;
+    round.forEach((match) => {
+      roundDiv.appendChild(createScheduleMatch(match, roundIndex));
+    });
+  });
+}
+
+/**
+ * Format a YYYY-MM-DD calendar date as a heading, e.g. "Sat 7 Mar 2026".
+ *
+ * @param {string} date
+ * @returns {string}
+ */
+function formatScheduleDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC',
+  });
+}
+
+/**
+ * Create one fixture row of the schedule with its score inputs and
+ * buttons to move, postpone or swap the fixture. Dated rows also carry
+ * the kick‑off time, pitch and round; postponed rows are marked with
+ * the reason.
+ *
+ * @param {{id: string, home: string, away: string, group?: string, date?: string, time?: string, pitch?: string, postponed?: Object}} match
+ * @param {number} roundIndex Index of the fixture's round
+ * @returns {HTMLElement}
+ */
+function createScheduleMatch(match, roundIndex) {
+  const matchDiv = document.createElement('div');
+  matchDiv.className = 'match';
+  matchDiv.dataset.id = match.id;
+  matchDiv.dataset.hasResult = 'false';
+  matchDiv.dataset.editing = 'false';
+  // Team labels with logos when available
+  const teamsEl = document.createElement('div');
+  teamsEl.className = 'teams';
+  if (scoreboardData && scoreboardData.scoreboard) {
+    const h = scoreboardData.scoreboard[match.home];
+    const a = scoreboardData.scoreboard[match.away];
+    const hLogo = h && h.logo ? `<img src="${h.logo}" class="team-logo" alt="${escapeHtml(match.home)} logo">` : '';
+    const aLogo = a && a.logo ? `<img src="${a.logo}" class="team-logo" alt="${escapeHtml(match.away)} logo">` : '';
+    teamsEl.innerHTML = `${hLogo}${escapeHtml(match.home)} vs ${aLogo}${escapeHtml(match.away)}`;
+  } else {
+    teamsEl.textContent = `${match.home} vs ${match.away}`;
+  }
+  if (match.group) {
+    const groupTag = document.createElement('span');
+    groupTag.className = 'group-tag';
+    groupTag.textContent = `Group ${match.group}`;
+    teamsEl.prepend(groupTag);
+  }
+  matchDiv.appendChild(teamsEl);
+  if (match.date) {
+    const venueEl = document.createElement('div');
+    venueEl.className = 'match-venue';
+    venueEl.textContent = `${match.time} · ${match.pitch} · Round ${roundIndex + 1}`;
+    matchDiv.appendChild(venueEl);
+  }
+  if (match.postponed) {
+    matchDiv.classList.add('postponed');
+    const from = match.postponed.from;
+    const noteEl = document.createElement('div');
+    noteEl.className = 'postponed-note';
+    noteEl.textContent = `Postponed: ${match.postponed.reason}${from ? ` (was ${from.date} ${from.time})` : ''}`;
+    matchDiv.appendChild(noteEl);
+  }
+  // Inputs and submit/edit button
+  const inputsDiv = document.createElement('div');
+  inputsDiv.className = 'result-inputs';
+  const homeInput = document.createElement('input');
+  homeInput.type = 'number';
+  homeInput.min = '0';
+  homeInput.placeholder = '0';
+  const awayInput = document.createElement('input');
+  awayInput.type = 'number';
+  awayInput.min = '0';
+  awayInput.placeholder = '0';
+  const button = document.createElement('button');
+  button.textContent = 'Submit';
+  button.className = 'submit-result-btn';
+  button.addEventListener('click', () => {
+    const hasResult = matchDiv.dataset.hasResult === 'true';
+    const editing = matchDiv.dataset.editing === 'true';
+    if (!hasResult) {
+      const hVal = homeInput.value.trim();
+      const aVal = awayInput.value.trim();
+      if (hVal === '' || aVal === '') {
+        alert('Please enter scores for both teams.');
+        return;
+      }
+      const hScore = parseInt(hVal, 10);
+      const aScore = parseInt(aVal, 10);
+      if (isNaN(hScore) || isNaN(aScore) || hScore < 0 || aScore < 0) {
+        alert('Scores must be non‑negative integers.');
+        return;
+      }
+      button.disabled = true;
+      homeInput.disabled = true;
+      awayInput.disabled = true;
+      apiFetch(`/tournaments/${currentTournamentId}/update-score`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: match.id, home: match.home, away: match.away, homeScore: hScore, awayScore: aScore, events: matchEvents[match.id] || [],
+        }),
+      })
+        .then((res) => res.json())
+        .then((data) => {
+          if (data.error) {
+            alert(data.error);
+            button.disabled = false;
+            homeInput.disabled = false;
+            awayInput.disabled = false;
+          } else {
+            if (data.warnings && data.warnings.length) alert(data.warnings.join('\n'));
+            matchDiv.dataset.hasResult = 'true';
+            matchDiv.dataset.editing = 'false';
+            button.textContent = 'Edit';
+            button.disabled = false;
+            loadScoreboard();
+          }
+        })
+        .catch((err) => {
+          console.error(err);
+          alert('An error occurred while submitting the result.');
+          button.disabled = false;
+          homeInput.disabled = false;
+          awayInput.disabled = false;
+        });
+    } else {
+      if (!editing) {
+        matchDiv.dataset.editing = 'true';
+        button.textContent = 'Save';
+        homeInput.disabled = false;
+        awayInput.disabled = false;
+      } else {
+        const hVal = homeInput.value.trim();
+        const aVal = awayInput.value.trim();
+        if (hVal === '' || aVal === '') {
+          alert('Please enter scores for both teams.');
+          return;
+        }
+        const hScore = parseInt(hVal, 10);
+        const aScore = parseInt(aVal, 10);
+        if (isNaN(hScore) || isNaN(aScore) || hScore < 0 || aScore < 0) {
+          alert('Scores must be non‑negative integers.');
+          return;
+        }
+        button.disabled = true;
+        homeInput.disabled = true;
+        awayInput.disabled = true;
+        apiFetch(`/tournaments/${currentTournamentId}/update-score`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            id: match.id, home: match.home, away: match.away, homeScore: hScore, awayScore: aScore, events: matchEvents[match.id] || [],
+          }),
+        })
+          .then((res) => res.json())
+          .then((data) => {
+            if (data.error) {
+              alert(data.error);
+              button.disabled = false;
+              homeInput.disabled = false;
+              awayInput.disabled = false;
+            } else {
+              if (data.warnings && data.warnings.length) alert(data.warnings.join('\n'));
+              matchDiv.dataset.hasResult = 'true';
+              matchDiv.dataset.editing = 'false';
+              button.textContent = 'Edit';
+              button.disabled = false;
+              loadScoreboard();
+            }
+          })
+          .catch((err) => {
+            console.error(err);
+            alert('An error occurred while submitting the result.');
+            button.disabled = false;
+            homeInput.disabled = false;
+            awayInput.disabled = false;
+          });
+      }
+    }
+  });
+  inputsDiv.appendChild(homeInput);
+  inputsDiv.appendChild(document.createTextNode(' - '));
+  inputsDiv.appendChild(awayInput);
+  inputsDiv.appendChild(button);
+  matchDiv.appendChild(inputsDiv);
+  matchDiv.appendChild(createFixtureActions(match, roundIndex));
+  matchDiv.appendChild(createMatchEventsPanel(match, matchDiv));
+  return matchDiv;
+}
+
+// Labels for recorded match events
+const MATCH_EVENT_LABELS = { goal: 'Goal', yellow: 'Yellow card', red: 'Red card' };
+
+/**
+ * Create the expandable events panel of a fixture row: a toggle, the
+ * list of goals and cards, and a small form to add more. Events are
+ * kept in `matchEvents` and sent with the score, so changing them on a
+ * played match puts the row back into editing mode until it is saved.
+ *
+ * @param {{id: string, home: string, away: string}} match
+ * @param {HTMLElement} matchDiv The fixture row
+ * @returns {HTMLElement}
+ */
+function createMatchEventsPanel(match, matchDiv) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'match-events';
+  const toggle = document.createElement('button');
+  toggle.className = 'events-toggle';
+  toggle.textContent = 'Show events';
+  const panel = document.createElement('div');
+  panel.className = 'events-panel';
+  panel.style.display = 'none';
+  toggle.addEventListener('click', () => {
+    const open = panel.style.display === 'none';
+    panel.style.display = open ? 'block' : 'none';
+    toggle.textContent = open ? 'Hide events' : 'Show events';
+  });
+  const list = document.createElement('ul');
+  list.className = 'event-list';
+  const form = document.createElement('div');
+  form.className = 'event-form';
+  form.innerHTML = `
+    <select class="event-type">
+      <option value="goal">Goal</option>
+      <option value="yellow">Yellow card</option>
+      <option value="red">Red card</option>
+    </select>
+    <select class="event-team">
+      <option value="${escapeHtml(match.home)}">${escapeHtml(match.home)}</option>
+      <option value="${escapeHtml(match.away)}">${escapeHtml(match.away)}</option>
+    </select>
+    <input type="text" class="event-player" placeholder="Player">
+    <input type="number" class="event-minute" min="0" max="150" placeholder="Min">
+    <input type="text" class="event-assist" placeholder="Assist (optional)">
+    <label><input type="checkbox" class="event-own-goal"> Own goal</label>
+    <button class="event-add">Add</button>`;
+  // Adding or removing an event on a played match needs the result saved again
+  const startEditing = () => {
+    if (matchDiv.dataset.hasResult !== 'true' || matchDiv.dataset.editing === 'true') return;
+    matchDiv.dataset.editing = 'true';
+    matchDiv.querySelectorAll('.result-inputs input').forEach((input) => {
+      input.disabled = false;
+    });
+    matchDiv.querySelector('.result-inputs button').textContent = 'Save';
+  };
+  form.querySelector('.event-add').addEventListener('click', () => {
+    const player = form.querySelector('.event-player').value.trim();
+    if (!player) {
+      alert('Please enter the player.');
+      return;
+    }
+    const event = {
+      type: form.querySelector('.event-type').value,
+      team: form.querySelector('.event-team').value,
+      player,
+    };
+    const minute = form.querySelector('.event-minute').value.trim();
+    if (minute !== '') event.minute = parseInt(minute, 10);
+    if (event.type === 'goal') {
+      const assist = form.querySelector('.event-assist').value.trim();
+      if (assist) event.assist = assist;
+      if (form.querySelector('.event-own-goal').checked) event.ownGoal = true;
+    }
+    matchEvents[match.id] = (matchEvents[match.id] || []).concat(event);
+    form.querySelectorAll('input[type="text"], input[type="number"]').forEach((input) => {
+      input.value = '';
+    });
+    form.querySelector('.event-own-goal').checked = false;
+    startEditing();
+    renderMatchEvents(matchDiv);
+  });
+  list.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('event-remove')) return;
+    const index = parseInt(e.target.dataset.index, 10);
+    matchEvents[match.id] = (matchEvents[match.id] || []).filter((_, i) => i !== index);
+    startEditing();
+    renderMatchEvents(matchDiv);
+  });
+  panel.appendChild(list);
+  panel.appendChild(form);
+  wrapper.appendChild(toggle);
+  wrapper.appendChild(panel);
+  return wrapper;
+}
+
+/**
+ * Redraw the event list of a fixture row from `matchEvents`, e.g.
+ * "23' Goal: Kane (Lions), assist Son".
+ *
+ * @param {HTMLElement} matchDiv
+ */
+function renderMatchEvents(matchDiv) {
+  const list = matchDiv.querySelector('.event-list');
+  if (!list) return;
+  const events = matchEvents[matchDiv.dataset.id] || [];
+  list.innerHTML = events.length ? '' : '<li class="event-empty">No events recorded.</li>';
+  events.forEach((event, index) => {
+    const li = document.createElement('li');
+    const minute = typeof event.minute === 'number' ? `${event.minute}' ` : '';
+    let text = `${minute}${MATCH_EVENT_LABELS[event.type]}: ${event.player} (${event.team})`;
+    if (event.ownGoal) text += ', own goal';
+    if (event.assist) text += `, assist ${event.assist}`;
+    li.textContent = text;
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'event-remove';
+    removeBtn.dataset.index = index;
+    removeBtn.textContent = 'Remove';
+    li.appendChild(removeBtn);
+    list.appendChild(li);
+  });
+  const toggle = matchDiv.querySelector('.events-toggle');
+  if (toggle && toggle.textContent.startsWith('Show')) {
+    toggle.textContent = events.length ? `Show events (${events.length})` : 'Show events';
+  }
+}
+
+/**
+ * Load and render the top scorer, assist and card leaderboards.
+ */
+function loadLeaderboards() {
+  if (!currentTournamentId) return;
+  apiFetch(`/tournaments/${currentTournamentId}/leaderboards`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data || data.error) {
+        console.error(data && data.error);
+        return;
+      }
+      renderLeaderboards(data);
+    })
+    .catch((err) => console.error(err));
+}
+
+/**
+ * Load and render every carded player's disciplinary record.
+ */
+function loadDiscipline() {
+  if (!currentTournamentId) return;
+  apiFetch(`/tournaments/${currentTournamentId}/discipline`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data || data.error) {
+        console.error(data && data.error);
+        return;
+      }
+      renderDiscipline(data);
+    })
+    .catch((err) => console.error(err));
+}
+
+/**
+ * Render the disciplinary table, suspended players first, and list any
+ * suspended players that appeared in a match anyway. The section stays
+ * hidden until a card has been shown.
+ *
+ * @param {{config: Object, players: Array<Object>, violations: Array<Object>}} discipline
+ */
+function renderDiscipline(discipline) {
+  const { config, players, violations } = discipline;
+  disciplineViolationsList.innerHTML = '';
+  if (!players.length) {
+    disciplineContainer.innerHTML = '';
+    disciplineSection.style.display = 'none';
+    return;
+  }
+  const rows = players.map((p) => {
+    let status = '';
+    if (p.suspended) {
+      status = `<span class="suspended">Suspended for ${p.suspendedMatches} match${p.suspendedMatches === 1 ? '' : 'es'}</span>`;
+    } else if (config.yellowCardsForBan !== null && p.yellowsTowardsBan) {
+      status = `${config.yellowCardsForBan - p.yellowsTowardsBan} yellow${config.yellowCardsForBan - p.yellowsTowardsBan === 1 ? '' : 's'} from a ban`;
+    }
+    return `<tr><td>${escapeHtml(p.player)}</td><td>${escapeHtml(p.team)}</td><td>${p.yellowCards}</td><td>${p.redCards}</td><td>${status}</td></tr>`;
+  }).join('');
+  disciplineContainer.innerHTML = `<table class="leaderboard-table"><thead><tr><th>Player</th><th>Team</th><th>Yellow</th><th>Red</th><th>Status</th></tr></thead><tbody>${rows}</tbody></table>`;
+  violations.forEach((v) => {
+    const li = document.createElement('li');
+    li.textContent = `${v.player} (${v.team}) played in ${v.home} vs ${v.away} while suspended.`;
+    disciplineViolationsList.appendChild(li);
+  });
+  disciplineSection.style.display = 'block';
+}
+
+/**
+ * Load the audit log of result and bracket changes.
+ */
+function loadHistory() {
+  if (!currentTournamentId) return;
+  apiFetch(`/tournaments/${currentTournamentId}/history`)
+    .then((res) => res.json())
+    .then((data) => {
+      if (!data || data.error) {
+        console.error(data && data.error);
+        return;
+      }
+      renderHistory(data.history);
+    })
+    .catch((err) => console.error(err));
+}
+
+/**
+ * Describe one side of a logged change, e.g. "Lions 2-1 Tigers".
+ *
+ * @param {Object} entry
+ * @param {Object|null} value The entry's before or after value
+ * @returns {string}
+ */
+function describeHistoryValue(entry, value) {
+  if (entry.kind === 'knockout') return value ? 'bracket' : 'no bracket';
+  if (!value) return 'no result';
+  return `${value.home} ${value.homeScore}-${value.awayScore} ${value.away}`;
+}
+
+/**
+ * Render the audit log, newest first. Changes that are still in effect
+ * get an Undo button; the server refuses the undo if the same result
+ * (or the bracket) has been changed again since.
+ *
+ * @param {Array<Object>} history
+ */
+function renderHistory(history) {
+  historyList.innerHTML = '';
+  if (!history.length) {
+    historySection.style.display = 'none';
+    return;
+  }
+  const labels = { update: 'Updated', import: 'Imported', swap: 'Swapped home and away', generate: 'Drew the knockout bracket', undo: 'Undid' };
+  history.forEach((entry) => {
+    const li = document.createElement('li');
+    const when = new Date(entry.at).toLocaleString();
+    let text = `${when} – ${entry.actor || 'anonymous'}: ${labels[entry.action]}`;
+    if (entry.kind === 'knockout' && entry.action !== 'generate') {
+      text += entry.matchId ? ` knockout match ${entry.matchId}` : ' the knockout bracket';
+    } else if (entry.kind === 'result') {
+      text += ` ${describeHistoryValue(entry, entry.before)} → ${describeHistoryValue(entry, entry.after)}`;
+    }
+    if (entry.undoneBy) text += ' (undone)';
+    li.textContent = text;
+    if (!entry.undoneBy && entry.action !== 'undo' && entry.action !== 'swap') {
+      const undoBtn = document.createElement('button');
+      undoBtn.className = entry.action === 'generate' ? 'admin-only' : 'results-only';
+      undoBtn.textContent = 'Undo';
+      undoBtn.addEventListener('click', () => undoHistoryEntry(entry));
+      li.appendChild(undoBtn);
+    }
+    historyList.appendChild(li);
+  });
+  historySection.style.display = 'block';
+}
+
+/**
+ * Ask the server to undo a logged change and reload the results.
+ *
+ * @param {Object} entry
+ */
+function undoHistoryEntry(entry) {
+  if (!confirm('Undo this change?')) return;
+  apiFetch(`/tournaments/${currentTournamentId}/undo/${encodeURIComponent(entry.id)}`, { method: 'POST' })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      loadScoreboard();
+    })
+    .catch((err) => {
+      console.error(err);
+      alert('An error occurred while undoing the change.');
+    });
+}
+
+/**
+ * Render the leaderboards as three small tables. The section stays
+ * hidden until at least one event has been recorded.
+ *
+ * @param {{scorers: Array<Object>, assists: Array<Object>, cards: Array<Object>}} boards
+ */
+function renderLeaderboards(boards) {
+  const table = (title, headers, rows) => {
+    if (!rows.length) return '';
+    const head = headers.map((h) => `<th>${h}</th>`).join('');
+    const body = rows.map((cells) => `<tr>${cells.map((c) => `<td>${escapeHtml(String(c))}</td>`).join('')}</tr>`).join('');
+    return `<h4>${title}</h4><table class="leaderboard-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  };
+  leaderboardContainer.innerHTML =
+    table('Top Scorers', ['Player', 'Team', 'Goals'], boards.scorers.map((p) => [p.player, p.team, p.goals])) +
+    table('Assists', ['Player', 'Team', 'Assists'], boards.assists.map((p) => [p.player, p.team, p.assists])) +
+    table('Cards', ['Player', 'Team', 'Yellow', 'Red'], boards.cards.map((p) => [p.player, p.team, p.yellow, p.red]));
+  leaderboardSection.style.display = leaderboardContainer.innerHTML ? 'block' : 'none';
+}
+
+/**
+ * Create the move, postpone and swap buttons for a fixture. Moving asks
+ * for a new date, time and pitch once the tournament has a calendar or
+ * the fixture has a date, and for a round number otherwise.
+ *
+ * @param {{id: string, date?: string, time?: string, pitch?: string}} match
+ * @param {number} roundIndex
+ * @returns {HTMLElement}
+ */
+function createFixtureActions(match, roundIndex) {
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'fixture-actions';
+  const addAction = (label, handler) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.addEventListener('click', handler);
+    actionsDiv.appendChild(btn);
+  };
+  addAction('Move', () => {
+    const dated = !!(match.date || (tournamentInfo && tournamentInfo.calendar));
+    if (!dated) {
+      const round = prompt('Move to round number:', roundIndex + 1);
+      if (round === null) return;
+      submitFixtureAction(match.id, 'move', { round: parseInt(round, 10) - 1 });
+      return;
+    }
+    const when = prompt('New date and time (YYYY-MM-DD HH:MM):', match.date ? `${match.date} ${match.time}` : '');
+    if (when === null) return;
+    const [date, time] = when.trim().split(/\s+/);
+    const pitch = prompt('Pitch:', match.pitch || '');
+    if (pitch === null) return;
+    submitFixtureAction(match.id, 'move', { date, time, pitch: pitch.trim() || undefined });
+  });
+  addAction('Postpone', () => {
+    const reason = prompt('Reason for postponing:');
+    if (reason === null) return;
+    submitFixtureAction(match.id, 'postpone', { reason });
+  });
+  addAction('Swap Home/Away', () => {
+    submitFixtureAction(match.id, 'swap', {});
+  });
+  return actionsDiv;
+}
+
+/**
+ * Send a fixture operation to the server and redraw the schedule. A
+ * swap can change a recorded result, so the scoreboard is reloaded.
+ *
+ * @param {string} fixtureId
+ * @param {'move'|'postpone'|'swap'} action
+ * @param {Object} payload
+ */
+function submitFixtureAction(fixtureId, action, payload) {
+  apiFetch(`/tournaments/${currentTournamentId}/fixtures/${encodeURIComponent(fixtureId)}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  })
+    .then((res) => res.json())
+    .then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      scheduleData = data.schedule;
+      renderSchedule(scheduleData);
+      if (action === 'swap') {
+        loadScoreboard();
+      } else {
+        updateScheduleFromScoreboard();
+      }
+    })
+    .catch((err) => {
+      console.error(err);
+      alert('An error occurred while updating the fixture.');
+    });
+}
+
+// Short labels for the tiebreaker that separated a team in the table
+const TIEBREAKER_LABELS = {
+  headToHead: 'H2H',
+  goalDifference: 'GD',
+  goalsFor: 'GF',
+  awayGoals: 'Away goals',
+  wins: 'Wins',
+  fairPlay: 'Fair play',
+  buchholz: 'Buchholz',
+  buchholzCut1: 'Buchholz cut 1',
+  name: 'Name',
+};
+
+/**
+ * Render the league table, or one table per group for tournaments with
+ * groups. Rows arrive already ordered by the server's standings engine,
+ * which applies the tournament's tiebreaker chain.
+ *
+ * @param {{standings?: Array<Object>, groups?: Array<{name: string, standings: Array<Object>}>}} table
+ *   Standings response from the server.
+ */
+function renderScoreboard(table) {
+  if (Array.isArray(table.groups)) {
+    scoreboardTable.style.display = 'none';
+    scoreboardTable.innerHTML = '';
+    groupTablesContainer.innerHTML = '';
+    table.groups.forEach((group) => {
+      const heading = document.createElement('h4');
+      heading.textContent = `Group ${group.name}`;
+      groupTablesContainer.appendChild(heading);
+      const groupTable = document.createElement('table');
+      groupTable.className = 'group-table';
+      groupTable.innerHTML = buildStandingsTableHtml(group.standings);
+      groupTablesContainer.appendChild(groupTable);
+    });
+    return;
+  }
+  groupTablesContainer.innerHTML = '';
+  scoreboardTable.style.display = '';
+  scoreboardTable.innerHTML = buildStandingsTableHtml(table.standings || []);
+}
+
+/**
+ * Build the inner HTML of a standings table. When a team was only
+ * separated from a level rival by a tiebreaker, a short note naming it
+ * is shown next to the team. Logos appear before team names when
+ * available. A bonus points column is added when the tournament's
+ * points system has bonus rules.
+ *
+ * @param {Array<Object>} rows Standings rows from the server.
+ * @returns {string}
+ */
+function buildStandingsTableHtml(rows) {
+  const showBonus = !!(tournamentInfo && tournamentInfo.points && tournamentInfo.points.bonus && tournamentInfo.points.bonus.length);
+  const showBuchholz = !!(tournamentInfo && Array.isArray(tournamentInfo.tiebreakers) &&
+    tournamentInfo.tiebreakers.some((t) => t === 'buchholz' || t === 'buchholzCut1'));
+  let html = '<thead><tr>';
+  html += '<th>Pos</th>';
+  html += '<th>Team</th>';
+  html += '<th>Played</th>';
+  html += '<th>Wins</th>';
+  html += '<th>Draws</th>';
+  html += '<th>Losses</th>';
+  html += '<th>GF</th>';
   html += '<th>GA</th>';
   html += '<th>GD</th>';
+  if (showBonus) html += '<th>Bonus</th>';
+  if (showBuchholz) html += '<th>Buchholz</th>';
   html += '<th>Points</th>';
   html += '</tr></thead><tbody>';
   rows.forEach((row) => {
     html += '<tr>';
     const logoHtml = row.logo ? `<img src="${row.logo}" class="team-logo" alt="${escapeHtml(row.team)} logo">` : '';
-    html += `<td>${logoHtml}${escapeHtml(row.team)}</td>`;
+    const label = TIEBREAKER_LABELS[row.tiebreaker];
+    const noteHtml = label ? ` <span class="tiebreak-note" title="Separated by ${escapeHtml(label)}">(${escapeHtml(label)})</span>` : '';
+    html += `<td>${row.position}</td>`;
+    html += `<td>${logoHtml}${escapeHtml(row.team)}${noteHtml}</td>`;
     html += `<td>${row.played}</td>`;
     html += `<td>${row.wins}</td>`;
     html += `<td>${row.draws}</td>`;
@@ -523,11 +2147,13 @@ function renderScoreboard(scoreboard) {
     html += `<td>${row.goalsFor}</td>`;
     html += `<td>${row.goalsAgainst}</td>`;
     html += `<td>${row.goalDifference}</td>`;
+    if (showBonus) html += `<td>${row.bonus || 0}</td>`;
+    if (showBuchholz) html += `<td>${row.buchholz}</td>`;
     html += `<td>${row.points}</td>`;
     html += '</tr>';
   });
   html += '</tbody>';
-  scoreboardTable.innerHTML = html;
+  return html;
 }
 
 /**
@@ -548,7 +2174,8 @@ function escapeHtml(unsafe) {
 
 /**
  * Compute the total number of matches in a schedule. Sums the
- * lengths of all rounds. Returns zero if the schedule is null.
+ * lengths of all rounds, so both legs of a home and away league are
+ * counted. Returns zero if the schedule is null.
  *
  * @param {Array} schedule
  * @returns {number}
@@ -562,25 +2189,68 @@ function computeMatchCount(schedule) {
   return count;
 }
 
+/**
+ * Count how many scheduled fixtures already have a recorded result.
+ * Results are matched by fixture ID so the count can be compared
+ * against computeMatchCount.
+ *
+ * @param {Array} schedule
+ * @param {Array} results
+ * @returns {number}
+ */
+function computePlayedCount(schedule, results) {
+  if (!schedule || !Array.isArray(results)) return 0;
+  const playedIds = new Set(results.map((r) => r.id));
+  let count = 0;
+  schedule.forEach((round) => {
+    round.forEach((match) => {
+      if (playedIds.has(match.id)) count += 1;
+    });
+  });
+  return count;
+}
+
 /**
  * Update the schedule view based on existing recorded results. It
  * iterates through scoreboardData.results and populates the input
- * values, disables editing and updates the button text to "Edit".
+ * values and recorded events, disables editing and updates the button
+ * text to "Edit". Rows whose result has since been removed, e.g. by an
+ * undo, are cleared again.
+ * Swiss byes are listed under their round and the next‑round button
+ * is refreshed.
  */
 function updateScheduleFromScoreboard() {
   if (!scoreboardData || !scheduleData) return;
+  renderByes();
+  updateNextRoundButton();
   if (!Array.isArray(scoreboardData.results)) return;
+  const playedIds = new Set(scoreboardData.results.map((r) => r.id));
+  scheduleContainer.querySelectorAll('[data-has-result="true"]').forEach((matchEl) => {
+    if (playedIds.has(matchEl.dataset.id) || matchEl.dataset.editing === 'true') return;
+    matchEl.querySelectorAll('.result-inputs input[type="number"]').forEach((input) => {
+      input.value = '';
+      input.disabled = false;
+    });
+    const button = matchEl.querySelector('.result-inputs button');
+    if (button) button.textContent = 'Submit';
+    delete matchEvents[matchEl.dataset.id];
+    renderMatchEvents(matchEl);
+    matchEl.dataset.hasResult = 'false';
+  });
   scoreboardData.results.forEach((result) => {
     const matchEl = scheduleContainer.querySelector(`[data-id="${result.id}"]`);
-    if (!matchEl) return;
-    const inputs = matchEl.querySelectorAll('input[type="number"]');
+    // Rows being edited keep the user's changes when live updates arrive
+    if (!matchEl || matchEl.dataset.editing === 'true') return;
+    matchEvents[result.id] = (result.events || []).slice();
+    renderMatchEvents(matchEl);
+    const inputs = matchEl.querySelectorAll('.result-inputs input[type="number"]');
     if (inputs.length === 2) {
       inputs[0].value = result.homeScore;
       inputs[1].value = result.awayScore;
       inputs[0].disabled = true;
       inputs[1].disabled = true;
     }
-    const button = matchEl.querySelector('button');
+    const button = matchEl.querySelector('.result-inputs button');
     if (button) {
       button.textContent = 'Edit';
       button.disabled = false;
@@ -590,11 +2260,67 @@ function updateScheduleFromScoreboard() {
   });
 }
 
+/**
+ * Show which team sat out each Swiss round. Byes are stored with the
+ * scoreboard, so they are added once both schedule and scoreboard have
+ * loaded.
+ */
+function renderByes() {
+  scheduleContainer.querySelectorAll('.bye-note').forEach((el) => el.remove());
+  if (!Array.isArray(scoreboardData.byes)) return;
+  scoreboardData.byes.forEach((bye) => {
+    // Only the round view has a block per round to list the bye under
+    const roundDiv = scheduleContainer.querySelector(`.round[data-round="${bye.round}"]`);
+    if (!roundDiv) return;
+    const note = document.createElement('div');
+    note.className = 'bye-note';
+    note.textContent = `Bye: ${bye.team}`;
+    roundDiv.appendChild(note);
+  });
+}
+
+/**
+ * Show the "Pair Next Round" button for Swiss tournaments once every
+ * fixture of the current round has a result and rounds remain.
+ */
+function updateNextRoundButton() {
+  const swiss = tournamentInfo && tournamentInfo.format === 'swiss' && tournamentInfo.swiss;
+  const roundsLeft = swiss && scheduleData.length < tournamentInfo.swiss.rounds;
+  const roundComplete = computePlayedCount(scheduleData, scoreboardData.results) === matchCount;
+  nextRoundBtn.style.display = roundsLeft && roundComplete ? 'block' : 'none';
+}
+
+// Pair the next Swiss round when the button is clicked
+nextRoundBtn.addEventListener('click', () => {
+  if (!currentTournamentId) return;
+  nextRoundBtn.disabled = true;
+  apiFetch(`/tournaments/${currentTournamentId}/next-round`, { method: 'POST' })
+    .then((res) => res.json())
+    .then((data) => {
+      nextRoundBtn.disabled = false;
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      scheduleData = data.schedule;
+      matchCount = computeMatchCount(scheduleData);
+      renderSchedule(scheduleData);
+      renderCalendarConflicts(data.conflicts || []);
+      loadScoreboard();
+    })
+    .catch((err) => {
+      console.error(err);
+      nextRoundBtn.disabled = false;
+      alert('An error occurred while pairing the next round.');
+    });
+});
+
 /**
  * Determine whether to show the knockout generation button or the
  * bracket itself. If a knockout bracket exists it is rendered,
  * otherwise the generate button is displayed only when the group
- * stage is complete and there are at least four teams.
+ * stage is complete and there are enough teams for the tournament's
+ * configured number of qualifiers.
  */
 function updatePlayoffSection() {
   if (!scheduleData || !scoreboardData) {
@@ -607,8 +2333,12 @@ function updatePlayoffSection() {
     renderPlayoff(scoreboardData.knockout);
     return;
   }
-  const completed = Array.isArray(scoreboardData.results) && scoreboardData.results.length === matchCount;
-  const enoughTeams = Object.keys(scoreboardData.scoreboard || {}).length >= 4;
+  const swissPending = !!(tournamentInfo && tournamentInfo.swiss && scheduleData.length < tournamentInfo.swiss.rounds);
+  const completed = !swissPending && computePlayedCount(scheduleData, scoreboardData.results) === matchCount;
+  // Group tournaments are validated on creation to have enough qualifiers
+  const grouped = !!(tournamentInfo && tournamentInfo.groups);
+  const qualifiers = tournamentInfo && tournamentInfo.playoff ? tournamentInfo.playoff.qualifiers : 4;
+  const enoughTeams = grouped || Object.keys(scoreboardData.scoreboard || {}).length >= qualifiers;
   if (completed && enoughTeams) {
     playoffSection.style.display = 'block';
     generatePlayoffBtn.style.display = 'block';
@@ -622,7 +2352,7 @@ function updatePlayoffSection() {
 // Create playoffs when the button is clicked
 generatePlayoffBtn.addEventListener('click', () => {
   if (!currentTournamentId) return;
-  fetch(`/tournaments/${currentTournamentId}/generate-playoff`, { method: 'POST' })
+  apiFetch(`/tournaments/${currentTournamentId}/generate-playoff`, { method: 'POST' })
     .then((res) => res.json())
     .then((data) => {
       if (data.error) {
@@ -638,184 +2368,274 @@ generatePlayoffBtn.addEventListener('click', () => {
     });
 });
 
+/**
+ * Format the decisive score of a knockout match. The score after extra
+ * time replaces the regular time score when extra time was played and a
+ * shootout is appended, e.g. "1-1 (aet), 4-3 pens". Returns an empty
+ * string when the match has no result yet.
+ *
+ * @param {Object} match
+ * @returns {string}
+ */
+function formatKnockoutScore(match) {
+  if (match.homeScore === null || match.awayScore === null) return '';
+  let text = `${match.homeScore}-${match.awayScore}`;
+  if (match.extraTime) {
+    text = `${match.extraTime.homeScore}-${match.extraTime.awayScore} (aet)`;
+  }
+  if (match.penalties) {
+    text += `, ${match.penalties.homeScore}-${match.penalties.awayScore} pens`;
+  }
+  return text;
+}
+
+/**
+ * Describe the aggregate outcome of a decided two‑legged tie, e.g.
+ * "Agg 3-2 (aet)" or "Agg 2-2, Lions win on away goals". Scores are
+ * given from the point of view of the team hosting the first leg.
+ *
+ * @param {Object} match
+ * @returns {string}
+ */
+function formatAggregate(match) {
+  if (!match.aggregate) return '';
+  const { homeScore, awayScore, decidedBy } = match.aggregate;
+  let text = `Agg ${homeScore}-${awayScore}`;
+  if (match.extraTime) text += ' (aet)';
+  if (decidedBy === 'awayGoals') {
+    text += `, ${match.winner} win on away goals`;
+  } else if (decidedBy === 'penalties') {
+    text += `, ${match.winner} win ${Math.max(match.penalties.homeScore, match.penalties.awayScore)}-${Math.min(match.penalties.homeScore, match.penalties.awayScore)} on pens`;
+  }
+  return text;
+}
+
+/**
+ * Create a small numeric input used for knockout scores.
+ *
+ * @param {number|null|undefined} value Initial value, if any.
+ * @returns {HTMLInputElement}
+ */
+function createScoreInput(value) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.placeholder = '0';
+  if (value !== null && typeof value !== 'undefined') input.value = value;
+  return input;
+}
+
 /**
  * Render the knockout bracket. Displays semi‑finals and final with
- * inputs for entering and editing scores. Automatically updates the
- * bracket when results are entered and shows the champion after the
- * final is complete.
+ * inputs for entering and editing scores, including optional extra
+ * time and penalty shootout scores for drawn matches. Decided matches
+ * show their decisive score. Two‑legged ties get a row per leg and
+ * show the aggregate once decided. Automatically updates the bracket
+ * when results are entered and shows the champion after the final is
+ * complete.
  *
  * @param {Object} knockout The knockout structure returned from the server.
  */
 function renderPlayoff(knockout) {
   playoffContainer.innerHTML = '';
   if (!knockout) return;
-  // Helper to create a knockout match element
-  const createKnockoutMatch = (match) => {
+  // Helper to create a knockout match element. For a two‑legged tie
+  // `leg` selects the leg: the first is hosted by the tie's home team,
+  // the second by its away team and carries any extra time and shootout.
+  const createKnockoutMatch = (match, leg = null) => {
+    const home = leg === 2 ? match.away : match.home;
+    const away = leg === 2 ? match.home : match.away;
+    const legScore = leg === 1 ? match.firstLeg : leg === 2 ? match.secondLeg : match;
+    const withExtras = leg !== 1;
     const wrapper = document.createElement('div');
     wrapper.className = 'match';
     wrapper.dataset.id = match.id;
-    wrapper.dataset.hasResult = match.homeScore !== null && match.awayScore !== null ? 'true' : 'false';
+    wrapper.dataset.hasResult = legScore && legScore.homeScore !== null && legScore.awayScore !== null ? 'true' : 'false';
     wrapper.dataset.editing = 'false';
     const teamsEl = document.createElement('div');
     teamsEl.className = 'teams';
+    const legLabel = leg ? `${leg === 1 ? '1st' : '2nd'} leg: ` : '';
     if (scoreboardData && scoreboardData.scoreboard) {
-      const h = scoreboardData.scoreboard[match.home];
-      const a = scoreboardData.scoreboard[match.away];
-      const hLogo = h && h.logo ? `<img src="${h.logo}" class="team-logo" alt="${escapeHtml(match.home)} logo">` : '';
-      const aLogo = a && a.logo ? `<img src="${a.logo}" class="team-logo" alt="${escapeHtml(match.away)} logo">` : '';
-      teamsEl.innerHTML = `${hLogo}${escapeHtml(match.home)} vs ${aLogo}${escapeHtml(match.away)}`;
+      const h = scoreboardData.scoreboard[home];
+      const a = scoreboardData.scoreboard[away];
+      const hLogo = h && h.logo ? `<img src="${h.logo}" class="team-logo" alt="${escapeHtml(home)} logo">` : '';
+      const aLogo = a && a.logo ? `<img src="${a.logo}" class="team-logo" alt="${escapeHtml(away)} logo">` : '';
+      teamsEl.innerHTML = `${legLabel}${hLogo}${escapeHtml(home)} vs ${aLogo}${escapeHtml(away)}`;
     } else {
-      teamsEl.textContent = `${match.home} vs ${match.away}`;
+      teamsEl.textContent = `${legLabel}${home} vs ${away}`;
     }
     wrapper.appendChild(teamsEl);
+    if (wrapper.dataset.hasResult === 'true') {
+      const scoreEl = document.createElement('div');
+      scoreEl.className = 'knockout-score';
+      scoreEl.textContent = formatKnockoutScore({
+        homeScore: legScore.homeScore,
+        awayScore: legScore.awayScore,
+        extraTime: withExtras ? match.extraTime : null,
+        penalties: withExtras ? match.penalties : null,
+      });
+      wrapper.appendChild(scoreEl);
+    }
     const inputsDiv = document.createElement('div');
     inputsDiv.className = 'result-inputs';
-    const homeInput = document.createElement('input');
-    homeInput.type = 'number';
-    homeInput.min = '0';
-    homeInput.placeholder = '0';
-    const awayInput = document.createElement('input');
-    awayInput.type = 'number';
-    awayInput.min = '0';
-    awayInput.placeholder = '0';
-    if (match.homeScore !== null) homeInput.value = match.homeScore;
-    if (match.awayScore !== null) awayInput.value = match.awayScore;
+    const homeInput = createScoreInput(legScore && legScore.homeScore);
+    const awayInput = createScoreInput(legScore && legScore.awayScore);
+    // Extra time (score after 120 minutes) and shootout, only needed for draws
+    const extrasDiv = document.createElement('div');
+    extrasDiv.className = 'knockout-extras';
+    const etHomeInput = createScoreInput(match.extraTime && match.extraTime.homeScore);
+    const etAwayInput = createScoreInput(match.extraTime && match.extraTime.awayScore);
+    const penHomeInput = createScoreInput(match.penalties && match.penalties.homeScore);
+    const penAwayInput = createScoreInput(match.penalties && match.penalties.awayScore);
+    const allInputs = withExtras
+      ? [homeInput, awayInput, etHomeInput, etAwayInput, penHomeInput, penAwayInput]
+      : [homeInput, awayInput];
+    const setInputsDisabled = (disabled) => {
+      allInputs.forEach((input) => {
+        input.disabled = disabled;
+      });
+    };
     if (wrapper.dataset.hasResult === 'true') {
-      homeInput.disabled = true;
-      awayInput.disabled = true;
+      setInputsDisabled(true);
     }
     const btn = document.createElement('button');
     btn.className = 'submit-result-btn';
     btn.textContent = wrapper.dataset.hasResult === 'true' ? 'Edit' : 'Submit';
+    const submitResult = () => {
+      const hVal = homeInput.value.trim();
+      const aVal = awayInput.value.trim();
+      if (hVal === '' || aVal === '') {
+        alert('Please enter scores for both teams.');
+        return;
+      }
+      const hScore = parseInt(hVal, 10);
+      const aScore = parseInt(aVal, 10);
+      if (isNaN(hScore) || isNaN(aScore) || hScore < 0 || aScore < 0) {
+        alert('Scores must be non‑negative integers.');
+        return;
+      }
+      const body = { id: match.id, homeScore: hScore, awayScore: aScore };
+      if (leg) body.leg = leg;
+      if (withExtras) {
+        body.extraTime = { homeScore: etHomeInput.value.trim(), awayScore: etAwayInput.value.trim() };
+        body.penalties = { homeScore: penHomeInput.value.trim(), awayScore: penAwayInput.value.trim() };
+      }
+      btn.disabled = true;
+      setInputsDisabled(true);
+      apiFetch(`/tournaments/${currentTournamentId}/update-knockout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+        .then((res) => res.json())
+        .then((data) => {
+          if (data.error) {
+            alert(data.error);
+            btn.disabled = false;
+            setInputsDisabled(false);
+          } else {
+            scoreboardData.knockout = data.knockout;
+            wrapper.dataset.hasResult = 'true';
+            wrapper.dataset.editing = 'false';
+            btn.textContent = 'Edit';
+            btn.disabled = false;
+            renderPlayoff(scoreboardData.knockout);
+          }
+        })
+        .catch((err) => {
+          console.error(err);
+          alert('An error occurred while submitting the result.');
+          btn.disabled = false;
+          setInputsDisabled(false);
+        });
+    };
     btn.addEventListener('click', () => {
       const hasResult = wrapper.dataset.hasResult === 'true';
       const editing = wrapper.dataset.editing === 'true';
-      if (!hasResult) {
-        const hVal = homeInput.value.trim();
-        const aVal = awayInput.value.trim();
-        if (hVal === '' || aVal === '') {
-          alert('Please enter scores for both teams.');
-          return;
-        }
-        const hScore = parseInt(hVal, 10);
-        const aScore = parseInt(aVal, 10);
-        if (isNaN(hScore) || isNaN(aScore) || hScore < 0 || aScore < 0) {
-          alert('Scores must be non‑negative integers.');
-          return;
-        }
-        btn.disabled = true;
-        homeInput.disabled = true;
-        awayInput.disabled = true;
-        fetch(`/tournaments/${currentTournamentId}/update-knockout`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ id: match.id, homeScore: hScore, awayScore: aScore }),
-        })
-          .then((res) => res.json())
-          .then((data) => {
-            if (data.error) {
-              alert(data.error);
-              btn.disabled = false;
-              homeInput.disabled = false;
-              awayInput.disabled = false;
-            } else {
-              scoreboardData.knockout = data.knockout;
-              wrapper.dataset.hasResult = 'true';
-              wrapper.dataset.editing = 'false';
-              btn.textContent = 'Edit';
-              btn.disabled = false;
-              renderPlayoff(scoreboardData.knockout);
-            }
-          })
-          .catch((err) => {
-            console.error(err);
-            alert('An error occurred while submitting the result.');
-            btn.disabled = false;
-            homeInput.disabled = false;
-            awayInput.disabled = false;
-          });
-      } else {
-        if (!editing) {
-          wrapper.dataset.editing = 'true';
-          btn.textContent = 'Save';
-          homeInput.disabled = false;
-          awayInput.disabled = false;
-        } else {
-          const hVal = homeInput.value.trim();
-          const aVal = awayInput.value.trim();
-          if (hVal === '' || aVal === '') {
-            alert('Please enter scores for both teams.');
-            return;
-          }
-          const hScore = parseInt(hVal, 10);
-          const aScore = parseInt(aVal, 10);
-          if (isNaN(hScore) || isNaN(aScore) || hScore < 0 || aScore < 0) {
-            alert('Scores must be non‑negative integers.');
-            return;
-          }
-          btn.disabled = true;
-          homeInput.disabled = true;
-          awayInput.disabled = true;
-          fetch(`/tournaments/${currentTournamentId}/update-knockout`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ id: match.id, homeScore: hScore, awayScore: aScore }),
-          })
-            .then((res) => res.json())
-            .then((data) => {
-              if (data.error) {
-                alert(data.error);
-                btn.disabled = false;
-                homeInput.disabled = false;
-                awayInput.disabled = false;
-              } else {
-                scoreboardData.knockout = data.knockout;
-                wrapper.dataset.hasResult = 'true';
-                wrapper.dataset.editing = 'false';
-                btn.textContent = 'Edit';
-                btn.disabled = false;
-                renderPlayoff(scoreboardData.knockout);
-              }
-            })
-            .catch((err) => {
-              console.error(err);
-              alert('An error occurred while submitting the result.');
-              btn.disabled = false;
-              homeInput.disabled = false;
-              awayInput.disabled = false;
-            });
-        }
+      if (hasResult && !editing) {
+        wrapper.dataset.editing = 'true';
+        btn.textContent = 'Save';
+        setInputsDisabled(false);
+        return;
       }
+      submitResult();
     });
     inputsDiv.appendChild(homeInput);
     inputsDiv.appendChild(document.createTextNode(' - '));
     inputsDiv.appendChild(awayInput);
     inputsDiv.appendChild(btn);
     wrapper.appendChild(inputsDiv);
+    if (!withExtras) return wrapper;
+    extrasDiv.appendChild(document.createTextNode('AET '));
+    extrasDiv.appendChild(etHomeInput);
+    extrasDiv.appendChild(document.createTextNode(' - '));
+    extrasDiv.appendChild(etAwayInput);
+    extrasDiv.appendChild(document.createTextNode(' Pens '));
+    extrasDiv.appendChild(penHomeInput);
+    extrasDiv.appendChild(document.createTextNode(' - '));
+    extrasDiv.appendChild(penAwayInput);
+    wrapper.appendChild(extrasDiv);
     return wrapper;
   };
-  // Semi‑finals heading
-  const sfHeading = document.createElement('h4');
-  sfHeading.textContent = 'Semi‑Finals';
-  playoffContainer.appendChild(sfHeading);
-  knockout.semiFinals.forEach((sf) => {
-    const row = createKnockoutMatch(sf);
-    playoffContainer.appendChild(row);
-  });
-  // Final heading and match
-  if (knockout.final && knockout.final.home && knockout.final.away) {
-    const finalHeading = document.createElement('h4');
-    finalHeading.textContent = 'Final';
-    playoffContainer.appendChild(finalHeading);
-    const finalRow = createKnockoutMatch(knockout.final);
-    playoffContainer.appendChild(finalRow);
-    if (knockout.final.winner) {
-      const champ = document.createElement('div');
-      champ.className = 'champion';
-      champ.textContent = `Champion: ${knockout.final.winner}`;
-      champ.style.marginTop = '0.5rem';
-      champ.style.fontWeight = 'bold';
-      playoffContainer.appendChild(champ);
+  // Helper to create a two‑legged tie: both legs plus the aggregate
+  const createTwoLeggedTie = (match) => {
+    const tie = document.createElement('div');
+    tie.className = 'knockout-tie';
+    tie.dataset.id = match.id;
+    tie.appendChild(createKnockoutMatch(match, 1));
+    tie.appendChild(createKnockoutMatch(match, 2));
+    if (match.aggregate) {
+      const aggEl = document.createElement('div');
+      aggEl.className = 'knockout-aggregate';
+      aggEl.textContent = formatAggregate(match);
+      tie.appendChild(aggEl);
     }
+    return tie;
+  };
+  // One heading per round; matches whose teams are not yet known show placeholders
+  knockout.rounds.forEach((round) => {
+    const heading = document.createElement('h4');
+    heading.textContent = round.name;
+    playoffContainer.appendChild(heading);
+    round.matches.forEach((match) => {
+      if (match.home && match.away) {
+        playoffContainer.appendChild(match.legs === 2 ? createTwoLeggedTie(match) : createKnockoutMatch(match));
+      } else {
+        playoffContainer.appendChild(createPendingKnockoutMatch(match));
+      }
+    });
+  });
+  if (knockout.champion) {
+    const champ = document.createElement('div');
+    champ.className = 'champion';
+    champ.textContent = `Champion: ${knockout.champion}`;
+    champ.style.marginTop = '0.5rem';
+    champ.style.fontWeight = 'bold';
+    playoffContainer.appendChild(champ);
   }
+}
+
+/**
+ * Create a placeholder row for a knockout match whose teams depend on
+ * earlier results, e.g. "Winner sf1 vs Winner sf2", or for a bye.
+ *
+ * @param {Object} match
+ * @returns {HTMLElement}
+ */
+function createPendingKnockoutMatch(match) {
+  const describe = (team, source) => {
+    if (team) return match.bye ? `${team} (bye)` : team;
+    if (!source) return 'TBD';
+    return `${source.result === 'loser' ? 'Loser' : 'Winner'} ${source.match}`;
+  };
+  const wrapper = document.createElement('div');
+  wrapper.className = 'match pending-match';
+  wrapper.dataset.id = match.id;
+  const teamsEl = document.createElement('div');
+  teamsEl.className = 'teams';
+  teamsEl.textContent = match.bye
+    ? describe(match.home, match.homeFrom)
+    : `${describe(match.home, match.homeFrom)} vs ${describe(match.away, match.awayFrom)}`;
+  wrapper.appendChild(teamsEl);
+  return wrapper;
 }
\ No newline at end of file
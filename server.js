@@ -1,13 +1,15 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { maxSwissRounds, pairSwissRound } = require('./swiss');
 
 // Public assets directory for client files (HTML, CSS, JS) and uploaded logos
 const publicDir = path.join(__dirname, 'public');
 const uploadsDir = path.join(publicDir, 'uploads');
 // Data directory stores tournament configurations (schedule, scoreboard, etc.)
 const dataDir = path.join(__dirname, 'data');
-const tournamentsFile = path.join(dataDir, 'tournaments.json');
 
 // Ensure required directories exist
 function ensureDir(dir) {
@@ -19,34 +21,353 @@ ensureDir(publicDir);
 ensureDir(uploadsDir);
 ensureDir(dataDir);
 
+// JSON files or SQLite, chosen by the STORAGE environment variable (see storage.js)
+const storage = createStorage({ dataDir });
+
+// Tail of each tournament's queue of pending changes, keyed by tournament ID
+const writeQueues = new Map();
+
+/**
+ * Run a task once every task queued earlier under the same key has
+ * finished, so changes to one tournament are applied one at a time and
+ * never load, modify and save the same files at once. Tasks for
+ * different keys run independently.
+ *
+ * @param {string} key
+ * @param {() => Promise<any>} task
+ * @returns {Promise<any>} Settles with the task's outcome
+ */
+function runExclusive(key, task) {
+  const previous = writeQueues.get(key) || Promise.resolve();
+  const run = previous.then(() => task());
+  const tail = run.catch(() => {});
+  writeQueues.set(key, tail);
+  tail.then(() => {
+    if (writeQueues.get(key) === tail) writeQueues.delete(key);
+  });
+  return run;
+}
+
 /**
- * Read the list of tournaments from disk. If no tournaments exist the
- * function returns an empty array. This file stores an array of
- * objects with `id`, `name` and `createdAt` properties.
+ * Read the list of tournaments from storage. If no tournaments exist the
+ * function returns an empty array. Each entry holds the tournament's
+ * `id`, `name` and `createdAt` plus its settings (`format`, `legs`,
+ * `points`, `tiebreakers`, `playoff`, `groups`, `swiss`), `archived`
+ * once archived and `clonedFrom` for a new season of another. Entries
+ * written by older versions may lack settings; read those through the
+ * `get*` helpers, which fill in the defaults.
  *
  * @returns {Array<{id:string,name:string,createdAt:string}>}
  */
 function loadTournaments() {
-  try {
-    const data = fs.readFileSync(tournamentsFile, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    return [];
-  }
+  return storage.readDocument(null, 'tournaments') || [];
 }
 
 /**
- * Save the given list of tournaments to disk. The list should be an
- * array of objects with `id`, `name` and `createdAt` properties.
+ * Save the given list of tournaments. The list has the shape described
+ * in loadTournaments. Throws if it cannot be written.
  *
  * @param {Array} list
  */
 function saveTournaments(list) {
-  try {
-    fs.writeFileSync(tournamentsFile, JSON.stringify(list, null, 2));
-  } catch (err) {
-    console.error('Failed to save tournaments:', err);
+  storage.writeDocument(null, 'tournaments', list);
+}
+
+/**
+ * Look up a single tournament's metadata by ID.
+ *
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function findTournament(id) {
+  return loadTournaments().find((t) => t.id === id) || null;
+}
+
+// Default points system: three for a win, one for a draw, none for a loss
+const DEFAULT_POINTS = { win: 3, draw: 1, loss: 0, bonus: [] };
+
+/**
+ * Validate a points configuration supplied when creating a tournament
+ * and fill in defaults for anything omitted. Bonus rules are optional;
+ * each rule awards extra `points` to a team and is one of:
+ *
+ * - `{ type: 'winMargin', margin, points }` for winning by `margin`+ goals
+ * - `{ type: 'goalsScored', goals, points }` for scoring `goals`+ in a match
+ *
+ * @param {Object} [input]
+ * @returns {{error?: string, points?: {win: number, draw: number, loss: number, bonus: Array}}}
+ */
+function normalizePointsConfig(input) {
+  if (typeof input === 'undefined' || input === null) {
+    return { points: { ...DEFAULT_POINTS, bonus: [] } };
+  }
+  if (typeof input !== 'object') {
+    return { error: 'Points configuration must be an object.' };
+  }
+  const points = {};
+  for (const key of ['win', 'draw', 'loss']) {
+    const value = typeof input[key] === 'undefined' ? DEFAULT_POINTS[key] : Number(input[key]);
+    if (!Number.isInteger(value)) {
+      return { error: `Points for a ${key} must be an integer.` };
+    }
+    points[key] = value;
+  }
+  const rules = typeof input.bonus === 'undefined' ? [] : input.bonus;
+  if (!Array.isArray(rules)) {
+    return { error: 'Bonus rules must be an array.' };
+  }
+  points.bonus = [];
+  for (const rule of rules) {
+    const bonusPoints = Number(rule && rule.points);
+    if (!Number.isInteger(bonusPoints) || bonusPoints <= 0) {
+      return { error: 'Each bonus rule must award a positive whole number of points.' };
+    }
+    if (rule.type === 'winMargin') {
+      const margin = Number(rule.margin);
+      if (!Number.isInteger(margin) || margin < 1) {
+        return { error: 'A winMargin bonus rule needs a margin of at least 1.' };
+      }
+      points.bonus.push({ type: 'winMargin', margin, points: bonusPoints });
+    } else if (rule.type === 'goalsScored') {
+      const goals = Number(rule.goals);
+      if (!Number.isInteger(goals) || goals < 1) {
+        return { error: 'A goalsScored bonus rule needs at least 1 goal.' };
+      }
+      points.bonus.push({ type: 'goalsScored', goals, points: bonusPoints });
+    } else {
+      return { error: `Unknown bonus rule type: ${rule && rule.type}` };
+    }
+  }
+  return { points };
+}
+
+/**
+ * Return the points system for a tournament, falling back to the
+ * default 3‑1‑0 system for tournaments created before it was stored.
+ *
+ * @param {string} tournamentId
+ * @returns {{win: number, draw: number, loss: number, bonus: Array}}
+ */
+function getPointsSystem(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  return normalizePointsConfig(tournament && tournament.points).points || { ...DEFAULT_POINTS, bonus: [] };
+}
+
+// Tiebreakers that may follow points in a tournament's standings chain
+const TIEBREAKERS = [
+  'headToHead', 'goalDifference', 'goalsFor', 'awayGoals', 'wins', 'fairPlay', 'buchholz', 'buchholzCut1',
+];
+const DEFAULT_TIEBREAKERS = ['goalDifference', 'goalsFor'];
+// Swiss tournaments rank level teams by the strength of their opponents first
+const DEFAULT_SWISS_TIEBREAKERS = ['buchholz', 'buchholzCut1', 'goalDifference', 'goalsFor'];
+
+/**
+ * Validate an ordered list of tiebreaker names. Omitting the list
+ * keeps the original goal difference then goals scored order (or the
+ * Buchholz chain for Swiss tournaments). Team name is always the final
+ * fallback and is not listed.
+ *
+ * @param {string[]} [input]
+ * @param {string} [format='league']
+ * @returns {{error?: string, tiebreakers?: string[]}}
+ */
+function normalizeTiebreakers(input, format = 'league') {
+  if (typeof input === 'undefined' || input === null) {
+    return { tiebreakers: (format === 'swiss' ? DEFAULT_SWISS_TIEBREAKERS : DEFAULT_TIEBREAKERS).slice() };
+  }
+  if (!Array.isArray(input)) {
+    return { error: 'Tiebreakers must be an array.' };
+  }
+  for (const name of input) {
+    if (!TIEBREAKERS.includes(name)) {
+      return { error: `Unknown tiebreaker: ${name}` };
+    }
+  }
+  if (new Set(input).size !== input.length) {
+    return { error: 'Tiebreakers must not repeat.' };
+  }
+  return { tiebreakers: input.slice() };
+}
+
+/**
+ * Return the tiebreaker chain for a tournament, falling back to the
+ * default chain for tournaments created before it was stored.
+ *
+ * @param {string} tournamentId
+ * @returns {string[]}
+ */
+function getTiebreakers(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  const format = tournament && tournament.format;
+  return normalizeTiebreakers(tournament && tournament.tiebreakers, format).tiebreakers || DEFAULT_TIEBREAKERS.slice();
+}
+
+// Default knockout stage: top four into semi finals, no third‑place match,
+// every tie a single match
+const DEFAULT_PLAYOFF = { qualifiers: 4, thirdPlace: false, twoLeggedRounds: [], awayGoals: false };
+// Knockout rounds that may be played over two legs
+const TWO_LEGGED_ROUNDS = ['r64', 'r32', 'r16', 'qf', 'sf', 'final'];
+
+/**
+ * Validate group definitions supplied when creating a tournament. Each
+ * group has a short alphanumeric `name` and a list of `teams`; every
+ * team must be placed in exactly one group. Returns `groups: null` when
+ * no groups were given so the tournament runs as a single league.
+ *
+ * @param {Array<{name: string, teams: string[]}>} [input]
+ * @param {string[]} teamNames All team names in the tournament
+ * @returns {{error?: string, groups?: Array<{name: string, teams: string[]}>|null}}
+ */
+function normalizeGroups(input, teamNames) {
+  if (typeof input === 'undefined' || input === null) {
+    return { groups: null };
+  }
+  if (!Array.isArray(input) || input.length < 2) {
+    return { error: 'Groups must be a list of at least two groups.' };
+  }
+  const seenGroups = new Set();
+  const placed = new Set();
+  const groups = [];
+  for (const group of input) {
+    const name = String((group && group.name) || '').trim();
+    if (!/^[A-Za-z0-9]{1,10}$/.test(name)) {
+      return { error: 'Group names must be 1–10 letters or digits.' };
+    }
+    if (seenGroups.has(name)) {
+      return { error: `Group ${name} is defined twice.` };
+    }
+    seenGroups.add(name);
+    const teams = Array.isArray(group.teams) ? group.teams.map((t) => String(t).trim()).filter((t) => t) : [];
+    if (teams.length < 2) {
+      return { error: `Group ${name} needs at least two teams.` };
+    }
+    for (const team of teams) {
+      if (!teamNames.includes(team)) {
+        return { error: `Group ${name} lists unknown team ${team}.` };
+      }
+      if (placed.has(team)) {
+        return { error: `Team ${team} is in more than one group.` };
+      }
+      placed.add(team);
+    }
+    groups.push({ name, teams });
+  }
+  const unplaced = teamNames.filter((t) => !placed.has(t));
+  if (unplaced.length) {
+    return { error: `Every team must be in a group: ${unplaced.join(', ')}.` };
+  }
+  return { groups };
+}
+
+/**
+ * Validate the knockout stage settings supplied when creating a
+ * tournament. `qualifiers` is the number of teams taken from the table
+ * into the bracket and must be a power of two between 2 and 64;
+ * `thirdPlace` adds a play‑off between the losing semi‑finalists.
+ *
+ * With groups the qualifiers are derived instead: the top `perGroup`
+ * teams of every group (default 2) plus the `bestThirds` best teams
+ * finishing just below them across all groups (default 0).
+ *
+ * Rounds listed in `twoLeggedRounds` (by round ID, e.g. `['sf']`) are
+ * played home and away and decided on aggregate; `awayGoals` turns on
+ * the away goals rule for those ties.
+ *
+ * @param {Object} [input]
+ * @param {Array<{name: string, teams: string[]}>|null} [groups]
+ * @returns {{error?: string, playoff?: {qualifiers: number, thirdPlace: boolean, perGroup?: number, bestThirds?: number, twoLeggedRounds: string[], awayGoals: boolean}}}
+ */
+function normalizePlayoffConfig(input, groups = null) {
+  if (typeof input === 'undefined' || input === null) {
+    input = {};
+  }
+  if (typeof input !== 'object') {
+    return { error: 'Playoff configuration must be an object.' };
+  }
+  let qualifiers = typeof input.qualifiers === 'undefined' ? DEFAULT_PLAYOFF.qualifiers : Number(input.qualifiers);
+  let groupSettings = {};
+  if (groups) {
+    const perGroup = typeof input.perGroup === 'undefined' ? 2 : Number(input.perGroup);
+    const bestThirds = typeof input.bestThirds === 'undefined' ? 0 : Number(input.bestThirds);
+    const smallest = Math.min(...groups.map((g) => g.teams.length));
+    if (!Number.isInteger(perGroup) || perGroup < 1 || perGroup > smallest) {
+      return { error: `Qualifiers per group must be between 1 and ${smallest}.` };
+    }
+    const candidates = groups.filter((g) => g.teams.length > perGroup).length;
+    if (!Number.isInteger(bestThirds) || bestThirds < 0 || bestThirds > candidates) {
+      return { error: `Best third‑placed qualifiers must be between 0 and ${candidates}.` };
+    }
+    qualifiers = groups.length * perGroup + bestThirds;
+    groupSettings = { perGroup, bestThirds };
+  }
+  if (!Number.isInteger(qualifiers) || qualifiers < 2 || qualifiers > 64 || (qualifiers & (qualifiers - 1)) !== 0) {
+    return { error: groups
+      ? `Group qualifiers add up to ${qualifiers}; the knockout stage needs a power of two between 2 and 64.`
+      : 'Playoff qualifiers must be a power of two between 2 and 64.' };
+  }
+  const thirdPlace = !!input.thirdPlace;
+  if (thirdPlace && qualifiers < 4) {
+    return { error: 'A third‑place match needs at least four qualifiers.' };
   }
+  const twoLeggedRounds = typeof input.twoLeggedRounds === 'undefined' ? DEFAULT_PLAYOFF.twoLeggedRounds : input.twoLeggedRounds;
+  if (!Array.isArray(twoLeggedRounds) || twoLeggedRounds.some((r) => !TWO_LEGGED_ROUNDS.includes(r))) {
+    return { error: `Two‑legged rounds must be chosen from: ${TWO_LEGGED_ROUNDS.join(', ')}.` };
+  }
+  const awayGoals = !!input.awayGoals;
+  return { playoff: { qualifiers, thirdPlace, ...groupSettings, twoLeggedRounds, awayGoals } };
+}
+
+/**
+ * Return the knockout stage settings for a tournament, falling back to
+ * the default four‑team bracket for tournaments created before they
+ * were stored.
+ *
+ * @param {string} tournamentId
+ * @returns {{qualifiers: number, thirdPlace: boolean, perGroup?: number, bestThirds?: number}}
+ */
+function getPlayoffConfig(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  const groups = (tournament && tournament.groups) || null;
+  return normalizePlayoffConfig(tournament && tournament.playoff, groups).playoff || { ...DEFAULT_PLAYOFF };
+}
+
+// Supported tournament formats: a league (optionally followed by a knockout
+// stage), a straight cup, or a Swiss system paired round by round
+const FORMATS = ['league', 'knockout', 'swiss'];
+
+/**
+ * Return a tournament's format, `league` for tournaments created
+ * before formats existed.
+ *
+ * @param {string} tournamentId
+ * @returns {string}
+ */
+function getFormat(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  return (tournament && FORMATS.includes(tournament.format)) ? tournament.format : 'league';
+}
+
+/**
+ * Return the number of rounds a Swiss tournament plays, or null for
+ * other formats.
+ *
+ * @param {string} tournamentId
+ * @returns {number|null}
+ */
+function getSwissRounds(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  return tournament && tournament.format === 'swiss' && tournament.swiss ? tournament.swiss.rounds : null;
+}
+
+/**
+ * Return a tournament's groups, or null for a single‑league tournament.
+ *
+ * @param {string} tournamentId
+ * @returns {Array<{name: string, teams: string[]}>|null}
+ */
+function getGroups(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  return (tournament && Array.isArray(tournament.groups) && tournament.groups.length) ? tournament.groups : null;
 }
 
 /**
@@ -80,53 +401,452 @@ function generateTournamentId(name) {
 }
 
 /**
- * Return the directory where the specified tournament's data is stored.
- *
- * @param {string} id
- * @returns {string}
- */
-function getTournamentDir(id) {
-  return path.join(dataDir, id);
-}
-
-/**
- * Paths to the schedule and scoreboard JSON files for a tournament.
- */
-function getSchedulePath(id) {
-  return path.join(getTournamentDir(id), 'schedule.json');
-}
-function getScoreboardPath(id) {
-  return path.join(getTournamentDir(id), 'scoreboard.json');
-}
-
-/**
- * Generate a round‑robin schedule. See the previous implementation for details.
- * Each fixture includes an `id` computed from its round and match indices.
+ * Generate a balanced round‑robin schedule using the circle method.
+ * The last participant is pinned while the others rotate; in round `r`
+ * the pinned team meets team `r` and the remaining pairs are formed
+ * symmetrically around it. Home and away are assigned so each team
+ * alternates as evenly as possible: over a single round‑robin the
+ * schedule has the minimum of n − 2 breaks (two consecutive home or
+ * away games) and no team has more than one. Each fixture includes an
+ * `id` computed from its round and match indices.
+ * When `legs` is 2 the single round‑robin is followed by a mirrored second
+ * half with home and away swapped; second‑leg fixture IDs are prefixed with
+ * `l2-` (e.g. `l2-r3-m1`) so every ID in the schedule stays unique. The
+ * second half opens with the return of the last first‑half round and then
+ * follows the first half's order, so every team switches venue at the
+ * halfway point instead of starting the second half with a break.
  *
  * @param {string[]} teams
+ * @param {number} [legs=1] Number of times each pair meets (1 or 2)
  * @returns {Array<Array<{id: string, home: string, away: string}>>}
  */
-function generateSchedule(teams) {
+function generateSchedule(teams, legs = 1) {
   const participants = teams.slice();
   if (participants.length % 2 === 1) participants.push(null);
   const n = participants.length;
+  const rotating = n - 1;
+  const pinned = participants[rotating];
   const rounds = [];
-  for (let r = 0; r < n - 1; r++) {
+  for (let r = 0; r < rotating; r++) {
+    // The pinned team alternates home and away from one round to the next
+    const pairs = [r % 2 === 0 ? [participants[r], pinned] : [pinned, participants[r]]];
+    for (let k = 1; k < n / 2; k++) {
+      const a = participants[(r + k) % rotating];
+      const b = participants[(r - k + rotating) % rotating];
+      pairs.push(k % 2 === 1 ? [a, b] : [b, a]);
+    }
     const matches = [];
-    for (let i = 0; i < n / 2; i++) {
-      const home = participants[i];
-      const away = participants[n - 1 - i];
+    pairs.forEach(([home, away], i) => {
       if (home && away) {
         matches.push({ id: `r${r}-m${i}`, home, away });
       }
-    }
+    });
     rounds.push(matches);
-    const last = participants.pop();
-    participants.splice(1, 0, last);
+  }
+  if (legs === 2) {
+    const firstLeg = rounds.slice();
+    firstLeg.slice(-1).concat(firstLeg.slice(0, -1)).forEach((round) => {
+      rounds.push(round.map((m) => ({ id: `l2-${m.id}`, home: m.away, away: m.home })));
+    });
   }
   return rounds;
 }
 
+/**
+ * Generate the schedule for a tournament split into groups. Each group
+ * plays its own round‑robin; round `r` of the combined schedule holds
+ * round `r` of every group so the groups play in step. Fixtures carry
+ * their `group` and group‑prefixed IDs (e.g. `gA-r0-m1`, `gA-l2-r0-m1`).
+ *
+ * @param {Array<{name: string, teams: string[]}>} groups
+ * @param {number} [legs=1]
+ * @returns {Array<Array<{id: string, home: string, away: string, group: string}>>}
+ */
+function generateGroupSchedule(groups, legs = 1) {
+  const rounds = [];
+  groups.forEach((group) => {
+    generateSchedule(group.teams, legs).forEach((round, r) => {
+      if (!rounds[r]) rounds[r] = [];
+      round.forEach((match) => {
+        rounds[r].push({ ...match, id: `g${group.name}-${match.id}`, group: group.name });
+      });
+    });
+  });
+  return rounds;
+}
+
+/**
+ * Summarise how fairly home and away games are spread in a schedule.
+ * For every team the number of home and away fixtures is counted along
+ * with its breaks: consecutive fixtures (in round order, ignoring byes)
+ * played at the same venue status. The longest home or away run is
+ * reported too so long streaks are easy to spot.
+ *
+ * @param {Array<Array<{home: string, away: string}>>} schedule
+ * @returns {{teams: Array<{team: string, home: number, away: number, breaks: number, longestRun: number}>, totalBreaks: number}}
+ */
+function computeScheduleStats(schedule) {
+  const sequences = {};
+  const track = (team, venue) => {
+    if (!sequences[team]) sequences[team] = [];
+    sequences[team].push(venue);
+  };
+  schedule.forEach((round) => {
+    round.forEach((match) => {
+      track(match.home, 'H');
+      track(match.away, 'A');
+    });
+  });
+  let totalBreaks = 0;
+  const teams = Object.keys(sequences).map((team) => {
+    const seq = sequences[team];
+    let breaks = 0;
+    let run = 1;
+    let longestRun = seq.length ? 1 : 0;
+    for (let i = 1; i < seq.length; i++) {
+      if (seq[i] === seq[i - 1]) {
+        breaks += 1;
+        run += 1;
+        if (run > longestRun) longestRun = run;
+      } else {
+        run = 1;
+      }
+    }
+    totalBreaks += breaks;
+    return {
+      team,
+      home: seq.filter((v) => v === 'H').length,
+      away: seq.filter((v) => v === 'A').length,
+      breaks,
+      longestRun,
+    };
+  });
+  return { teams, totalBreaks };
+}
+
+/**
+ * Count the fixtures in a schedule that already have a recorded result.
+ * Results are matched by fixture ID so stray or duplicate entries do not
+ * make an incomplete stage look finished.
+ *
+ * @param {Array<Array<{id: string}>>} schedule
+ * @param {Array<{id: string}>} results
+ * @returns {{total: number, played: number}}
+ */
+function countScheduledMatches(schedule, results) {
+  const playedIds = new Set((results || []).map((r) => r.id));
+  let total = 0;
+  let played = 0;
+  schedule.forEach((round) => {
+    round.forEach((match) => {
+      total += 1;
+      if (playedIds.has(match.id)) played += 1;
+    });
+  });
+  return { total, played };
+}
+
+// Days of the week in `Date#getUTCDay` order, as used for match days
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Default minimum rest between two games of the same team
+const DEFAULT_MIN_REST_HOURS = 24;
+// How far past the start date the calendar scheduler looks for free slots
+const MAX_CALENDAR_DAYS = 3 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the settings used to put fixtures on the calendar:
+ * `startDate` (YYYY-MM-DD), an optional last match date `endDate`,
+ * `matchDays` (weekday names such as `sat` or `Saturday`, or numbers
+ * 0–6 from Sunday), `kickoffTimes` (HH:MM), `pitches` (names) and
+ * `minRestHours`, the shortest gap allowed between two kick‑offs of
+ * the same team (default 24).
+ *
+ * @param {Object} input
+ * @returns {{error?: string, calendar?: {startDate: string, endDate: string|null, matchDays: string[], kickoffTimes: string[], pitches: string[], minRestHours: number}}}
+ */
+function normalizeCalendarConfig(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Calendar settings must be an object.' };
+  }
+  const startDate = String(input.startDate || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || isNaN(parseCalendarDate(startDate))) {
+    return { error: 'Start date must be a valid date in YYYY-MM-DD form.' };
+  }
+  const endDate = input.endDate ? String(input.endDate) : null;
+  if (endDate && (!/^\d{4}-\d{2}-\d{2}$/.test(endDate) || isNaN(parseCalendarDate(endDate)) || endDate < startDate)) {
+    return { error: 'End date must be a valid date in YYYY-MM-DD form, not before the start date.' };
+  }
+  if (!Array.isArray(input.matchDays) || input.matchDays.length === 0) {
+    return { error: 'At least one match day is required.' };
+  }
+  const matchDays = [];
+  for (const day of input.matchDays) {
+    const name = typeof day === 'number' ? WEEKDAYS[day] : WEEKDAYS.find((w) => String(day).toLowerCase().startsWith(w));
+    if (!name) {
+      return { error: `Unknown match day: ${day}.` };
+    }
+    if (!matchDays.includes(name)) matchDays.push(name);
+  }
+  matchDays.sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+  if (!Array.isArray(input.kickoffTimes) || input.kickoffTimes.length === 0) {
+    return { error: 'At least one kickoff time is required.' };
+  }
+  const kickoffTimes = [];
+  for (const time of input.kickoffTimes) {
+    const match = String(time).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return { error: `Kickoff times must be in HH:MM form, got ${time}.` };
+    }
+    const normalized = `${match[1].padStart(2, '0')}:${match[2]}`;
+    if (!kickoffTimes.includes(normalized)) kickoffTimes.push(normalized);
+  }
+  kickoffTimes.sort();
+  const pitches = Array.isArray(input.pitches)
+    ? input.pitches.map((p) => String(p).trim()).filter((p) => p)
+    : [];
+  if (pitches.length === 0 || new Set(pitches).size !== pitches.length) {
+    return { error: 'At least one pitch is required and pitch names must be unique.' };
+  }
+  const minRestHours = typeof input.minRestHours === 'undefined' ? DEFAULT_MIN_REST_HOURS : Number(input.minRestHours);
+  if (!Number.isFinite(minRestHours) || minRestHours < 0) {
+    return { error: 'Minimum rest must be a non‑negative number of hours.' };
+  }
+  return { calendar: { startDate, endDate, matchDays, kickoffTimes, pitches, minRestHours } };
+}
+
+/**
+ * Return a tournament's calendar settings, or null when its fixtures
+ * have never been put on the calendar.
+ *
+ * @param {string} tournamentId
+ * @returns {Object|null}
+ */
+function getCalendarConfig(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  return (tournament && tournament.calendar) || null;
+}
+
+/**
+ * Parse a YYYY-MM-DD date into a UTC timestamp. Calendar dates and
+ * times are wall‑clock values, so UTC is used throughout to keep them
+ * free of time zone and daylight saving shifts.
+ *
+ * @param {string} date
+ * @param {string} [time] HH:MM, midnight when omitted
+ * @returns {number} Milliseconds, NaN when invalid
+ */
+function parseCalendarDate(date, time = '00:00') {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  const ms = Date.UTC(y, m - 1, d, hh, mm);
+  const check = new Date(ms);
+  return check.getUTCMonth() === m - 1 && check.getUTCDate() === d ? ms : NaN;
+}
+
+/**
+ * Validate a team's unavailability list. Each entry is either a whole
+ * day, `{date: 'YYYY-MM-DD'}`, or a window `{start, end}` whose ends
+ * are dates (whole days, `end` inclusive) or `YYYY-MM-DDTHH:MM` times.
+ * An optional `reason` is kept for conflict messages. Entries are
+ * stored as `{start, end, reason}` with `end` exclusive.
+ *
+ * @param {Array<Object>} input
+ * @returns {{error?: string, unavailable?: Array<{start: string, end: string, reason: string|null}>}}
+ */
+function normalizeUnavailability(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Unavailability must be a list of dates or time windows.' };
+  }
+  const parsePoint = (value, isEnd) => {
+    const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}))?$/);
+    if (!match) return NaN;
+    const ms = parseCalendarDate(match[1], match[2] || '00:00');
+    // A date on its own as the end of a window means the whole of that day
+    return isEnd && !match[2] ? ms + DAY_MS : ms;
+  };
+  const unavailable = [];
+  for (const entry of input) {
+    if (!entry || typeof entry !== 'object') {
+      return { error: 'Each unavailability entry must be an object.' };
+    }
+    const start = parsePoint(entry.date || entry.start, false);
+    const end = parsePoint(entry.date || entry.end || entry.start, true);
+    if (isNaN(start) || isNaN(end) || end <= start) {
+      return { error: 'Unavailability needs a date, or a start and end (YYYY-MM-DD or YYYY-MM-DDTHH:MM) with the end after the start.' };
+    }
+    unavailable.push({
+      start: new Date(start).toISOString().slice(0, 16),
+      end: new Date(end).toISOString().slice(0, 16),
+      reason: entry.reason ? String(entry.reason).trim() || null : null,
+    });
+  }
+  unavailable.sort((a, b) => a.start.localeCompare(b.start));
+  return { unavailable };
+}
+
+/**
+ * Return the unavailability lists of a tournament's teams, keyed by
+ * team name. Teams without constraints are left out.
+ *
+ * @param {string} tournamentId
+ * @returns {Object<string, Array<{start: string, end: string, reason: string|null}>>}
+ */
+function getAvailability(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  return (tournament && tournament.availability) || {};
+}
+
+// How long a fixture occupies a team, used to check it against unavailability windows
+const MATCH_DURATION_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Find the unavailability entry, if any, that overlaps a game of the
+ * given team kicking off at `start`.
+ *
+ * @param {Object<string, Array>} availability
+ * @param {string} team
+ * @param {number} start
+ * @returns {{start: string, end: string, reason: string|null}|null}
+ */
+function findUnavailability(availability, team, start) {
+  return (availability[team] || []).find((entry) => {
+    const from = Date.parse(`${entry.start}Z`);
+    const to = Date.parse(`${entry.end}Z`);
+    return start < to && start + MATCH_DURATION_MS > from;
+  }) || null;
+}
+
+/**
+ * Describe a team's unavailability window for conflict messages, e.g.
+ * "Lions is unavailable from 2026-03-07 00:00 to 2026-03-08 00:00 (exams)".
+ */
+function describeUnavailability(team, entry) {
+  return `${team} is unavailable from ${entry.start.replace('T', ' ')} to ${entry.end.replace('T', ' ')}${entry.reason ? ` (${entry.reason})` : ''}`;
+}
+
+/**
+ * Find the earliest calendar slot, a kick‑off time on a pitch on one of
+ * the match days, that starts no earlier than `fromMs` and is accepted
+ * by `isFree`. Slots after the calendar's end date are never offered.
+ *
+ * @param {Object} calendar Normalised calendar settings
+ * @param {number} fromMs
+ * @param {function({date: string, time: string, pitch: string, start: number}): boolean} isFree
+ * @returns {{date: string, time: string, pitch: string, start: number}|null}
+ */
+function findCalendarSlot(calendar, fromMs, isFree) {
+  const first = parseCalendarDate(calendar.startDate);
+  const last = calendar.endDate ? parseCalendarDate(calendar.endDate) : Infinity;
+  for (let day = 0; day < MAX_CALENDAR_DAYS; day++) {
+    const dayMs = first + day * DAY_MS;
+    if (dayMs > last) break;
+    if (dayMs + DAY_MS <= fromMs) continue;
+    const weekday = WEEKDAYS[new Date(dayMs).getUTCDay()];
+    if (!calendar.matchDays.includes(weekday)) continue;
+    const date = new Date(dayMs).toISOString().slice(0, 10);
+    for (const time of calendar.kickoffTimes) {
+      const start = parseCalendarDate(date, time);
+      if (start < fromMs) continue;
+      for (const pitch of calendar.pitches) {
+        const slot = { date, time, pitch, start };
+        if (isFree(slot)) return slot;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Give every fixture without a date a `date`, `time` and `pitch`.
+ * Fixtures that already have one keep it and block their slot. A
+ * postponed fixture that gets a new slot is no longer postponed. Rounds
+ * are filled in order, each starting no earlier than the latest
+ * kick‑off of the round before, and every fixture takes the earliest
+ * slot where its pitch is free, neither team is unavailable and both
+ * teams have had at least `minRestHours` since (and before) their
+ * other games, so no team plays twice in one slot.
+ *
+ * Nothing is forced through: a fixture with no acceptable slot stays
+ * without a date, and it is reported in `conflicts` together with any
+ * dated fixture that clashes with a team's unavailability.
+ *
+ * @param {Array<Array<Object>>} schedule Mutated in place
+ * @param {Object} calendar Normalised calendar settings
+ * @param {Object<string, Array>} [availability] Unavailability by team
+ * @returns {{schedule: Array<Array<Object>>, conflicts: Array<{id: string, home: string, away: string, reason: string}>}}
+ */
+function assignFixtureDates(schedule, calendar, availability = {}) {
+  const restMs = calendar.minRestHours * 60 * 60 * 1000;
+  const bookedPitches = new Set();
+  const teamGames = {};
+  const book = (match, start) => {
+    bookedPitches.add(`${start}|${match.pitch}`);
+    [match.home, match.away].forEach((team) => {
+      if (!teamGames[team]) teamGames[team] = [];
+      teamGames[team].push(start);
+    });
+  };
+  const rested = (team, start) => (teamGames[team] || []).every((other) => {
+    const gap = Math.abs(other - start);
+    return gap > 0 && gap >= restMs;
+  });
+  schedule.flat().forEach((match) => {
+    if (match.date) book(match, parseCalendarDate(match.date, match.time));
+  });
+  let roundStart = parseCalendarDate(calendar.startDate);
+  for (const round of schedule) {
+    let latest = roundStart;
+    for (const match of round) {
+      if (!match.date) {
+        const slot = findCalendarSlot(calendar, roundStart, (candidate) =>
+          !bookedPitches.has(`${candidate.start}|${candidate.pitch}`) &&
+          rested(match.home, candidate.start) &&
+          rested(match.away, candidate.start) &&
+          !findUnavailability(availability, match.home, candidate.start) &&
+          !findUnavailability(availability, match.away, candidate.start));
+        if (!slot) continue;
+        Object.assign(match, { date: slot.date, time: slot.time, pitch: slot.pitch });
+        delete match.postponed;
+        book(match, slot.start);
+      }
+      latest = Math.max(latest, parseCalendarDate(match.date, match.time));
+    }
+    roundStart = latest;
+  }
+  return { schedule, conflicts: findCalendarConflicts(schedule, calendar, availability) };
+}
+
+/**
+ * List the fixtures the calendar cannot honour: dated fixtures where a
+ * team is unavailable, and fixtures that could not be given a date at
+ * all.
+ *
+ * @param {Array<Array<Object>>} schedule
+ * @param {Object} calendar Normalised calendar settings
+ * @param {Object<string, Array>} availability Unavailability by team
+ * @returns {Array<{id: string, home: string, away: string, team?: string, reason: string}>}
+ */
+function findCalendarConflicts(schedule, calendar, availability) {
+  const conflicts = [];
+  const window = calendar.endDate ? `between ${calendar.startDate} and ${calendar.endDate}` : `within ${MAX_CALENDAR_DAYS} days of ${calendar.startDate}`;
+  schedule.flat().forEach((match) => {
+    const { id, home, away } = match;
+    if (!match.date) {
+      conflicts.push({ id, home, away, reason: `No slot ${window} with a free pitch where both teams are available and rested.` });
+      return;
+    }
+    const start = parseCalendarDate(match.date, match.time);
+    [home, away].forEach((team) => {
+      const entry = findUnavailability(availability, team, start);
+      if (entry) {
+        conflicts.push({ id, home, away, team, reason: `Scheduled for ${match.date} ${match.time} but ${describeUnavailability(team, entry)}.` });
+      }
+    });
+  });
+  return conflicts;
+}
+
 /**
  * Create the initial scoreboard with statistical fields set to zero.
  * The `logos` argument is an optional object keyed by team name
@@ -148,6 +868,7 @@ function createInitialScoreboard(teams, logos = {}) {
       goalsFor: 0,
       goalsAgainst: 0,
       goalDifference: 0,
+      bonus: 0,
       points: 0,
       logo: logos[team] || null,
     };
@@ -156,60 +877,301 @@ function createInitialScoreboard(teams, logos = {}) {
 }
 
 /**
- * Save schedule JSON for a tournament.
+ * Save schedule JSON for a tournament. Throws if it cannot be written.
  */
 function saveSchedule(id, schedule) {
-  ensureDir(getTournamentDir(id));
-  try {
-    fs.writeFileSync(getSchedulePath(id), JSON.stringify(schedule, null, 2));
-  } catch (err) {
-    console.error('Failed to save schedule:', err);
-  }
+  storage.writeDocument(id, 'schedule', schedule);
 }
 
 /**
  * Load schedule for a tournament.
  */
 function loadSchedule(id) {
-  try {
-    const data = fs.readFileSync(getSchedulePath(id), 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    return null;
-  }
+  return storage.readDocument(id, 'schedule');
 }
 
 /**
  * Save scoreboard for a tournament. Ensures knockout property exists.
+ * Throws if it cannot be written.
  */
 function saveScoreboard(id, data) {
-  ensureDir(getTournamentDir(id));
   if (typeof data.knockout === 'undefined') data.knockout = null;
-  try {
-    fs.writeFileSync(getScoreboardPath(id), JSON.stringify(data, null, 2));
-  } catch (err) {
-    console.error('Failed to save scoreboard:', err);
-  }
+  storage.writeDocument(id, 'scoreboard', data);
 }
 
 /**
- * Load scoreboard for a tournament.
+ * Load scoreboard for a tournament. Brackets stored in the older
+ * `semiFinals`/`final` layout are upgraded to the rounds layout.
  */
 function loadScoreboard(id) {
-  try {
-    const data = fs.readFileSync(getScoreboardPath(id), 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    return null;
-  }
+  const parsed = storage.readDocument(id, 'scoreboard');
+  if (parsed && parsed.knockout) parsed.knockout = upgradeKnockout(parsed.knockout);
+  return parsed;
 }
 
+// Positions a player can be registered in
+const PLAYER_POSITIONS = ['GK', 'DF', 'MF', 'FW'];
+
 /**
- * Apply a match result to a scoreboard object. Mutates the
- * scoreboard in place. Accepts an object with a `scoreboard` property.
+ * Validate the squad registration settings. `lockAfterRound` is the
+ * last round (1‑based) in which squads may still change; once a result
+ * is recorded in a later round they are locked. 0 locks them as soon
+ * as the first result comes in, and null (the default) never locks.
+ *
+ * @param {Object} [input]
+ * @returns {{error?: string, registration?: {lockAfterRound: number|null}}}
  */
-function applyMatchResult(data, home, away, homeScore, awayScore) {
-  const ensureTeam = (team) => {
+function normalizeRegistrationConfig(input) {
+  if (typeof input === 'undefined' || input === null) {
+    input = {};
+  }
+  if (typeof input !== 'object') {
+    return { error: 'Registration settings must be an object.' };
+  }
+  const raw = input.lockAfterRound;
+  if (raw === null || typeof raw === 'undefined' || raw === '') {
+    return { registration: { lockAfterRound: null } };
+  }
+  const lockAfterRound = Number(raw);
+  if (!Number.isInteger(lockAfterRound) || lockAfterRound < 0) {
+    return { error: 'The registration lock round must be a whole number of at least 0.' };
+  }
+  return { registration: { lockAfterRound } };
+}
+
+/**
+ * Return a tournament's registration settings, never locking for
+ * tournaments created before they were stored.
+ *
+ * @param {string} tournamentId
+ * @returns {{lockAfterRound: number|null}}
+ */
+function getRegistrationConfig(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  return normalizeRegistrationConfig(tournament && tournament.registration).registration || { lockAfterRound: null };
+}
+
+/**
+ * Return the latest round (1‑based) with a recorded result, 0 before
+ * any match has been played. Knockout rounds count on from the last
+ * league round, so a cup's first round is round 1.
+ *
+ * @param {string} tournamentId
+ * @returns {number}
+ */
+function getLastPlayedRound(tournamentId) {
+  const schedule = loadSchedule(tournamentId) || [];
+  const data = loadScoreboard(tournamentId);
+  if (!data) return 0;
+  const played = new Set((data.results || []).map((r) => r.id));
+  let last = 0;
+  schedule.forEach((round, i) => {
+    if (round.some((m) => played.has(m.id))) last = i + 1;
+  });
+  if (data.knockout) {
+    data.knockout.rounds.forEach((round, i) => {
+      if (round.matches.some((m) => m.home && m.away && hasKnockoutResult(m))) last = schedule.length + i + 1;
+    });
+  }
+  return last;
+}
+
+/**
+ * Work out whether a tournament's squads are still open for changes.
+ *
+ * @param {string} tournamentId
+ * @returns {{lockAfterRound: number|null, lastPlayedRound: number, locked: boolean}}
+ */
+function getRegistrationStatus(tournamentId) {
+  const { lockAfterRound } = getRegistrationConfig(tournamentId);
+  const lastPlayedRound = getLastPlayedRound(tournamentId);
+  const locked = lockAfterRound !== null && lastPlayedRound > lockAfterRound;
+  return { lockAfterRound, lastPlayedRound, locked };
+}
+
+/**
+ * Load the squads of a tournament, keyed by team name. Teams without
+ * registered players are left out.
+ *
+ * @param {string} id
+ * @returns {Object<string, Array<{id: string, name: string, number: number, position: string}>>}
+ */
+function loadSquads(id) {
+  return storage.readDocument(id, 'squads') || {};
+}
+
+/**
+ * Save the squads of a tournament. Throws if they cannot be written.
+ */
+function saveSquads(id, squads) {
+  storage.writeDocument(id, 'squads', squads);
+}
+
+/**
+ * Validate a player for a squad: a name, a shirt number from 1 to 99
+ * that no team‑mate wears, and one of PLAYER_POSITIONS. `others` are
+ * the rest of the squad, without the player being edited.
+ *
+ * @param {Object} input
+ * @param {Array<Object>} others
+ * @returns {{error?: string, player?: {name: string, number: number, position: string}}}
+ */
+function normalizePlayer(input, others) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Player details must be an object.' };
+  }
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    return { error: 'A player name is required.' };
+  }
+  const number = Number(input.number);
+  if (!Number.isInteger(number) || number < 1 || number > 99) {
+    return { error: `${name}: the shirt number must be between 1 and 99.` };
+  }
+  const position = String(input.position || '').trim().toUpperCase();
+  if (!PLAYER_POSITIONS.includes(position)) {
+    return { error: `${name}: position must be one of ${PLAYER_POSITIONS.join(', ')}.` };
+  }
+  const taken = others.find((p) => p.number === number);
+  if (taken) {
+    return { error: `Shirt number ${number} is already worn by ${taken.name}.` };
+  }
+  return { player: { name, number, position } };
+}
+
+/**
+ * Change a team's squad. `change` receives a copy of the current squad
+ * and returns the new one, or an error. Fails when the team does not
+ * exist or registration has closed. Squads are kept in shirt number
+ * order.
+ *
+ * @param {string} tournamentId
+ * @param {string} team
+ * @param {function(Array<Object>): {error?: string, players?: Array<Object>}} change
+ * @returns {{error?: string, notFound?: boolean, players?: Array<Object>}}
+ */
+function updateSquad(tournamentId, team, change) {
+  const data = loadScoreboard(tournamentId);
+  if (!data || !data.scoreboard[team]) {
+    return { error: 'Team not found.', notFound: true };
+  }
+  const status = getRegistrationStatus(tournamentId);
+  if (status.locked) {
+    return { error: `Squads are locked: registration closed after round ${status.lockAfterRound}.` };
+  }
+  const squads = loadSquads(tournamentId);
+  const result = change((squads[team] || []).slice());
+  if (result.error) return result;
+  const players = result.players.sort((a, b) => a.number - b.number);
+  squads[team] = players;
+  if (!players.length) delete squads[team];
+  saveSquads(tournamentId, squads);
+  return { players };
+}
+
+/**
+ * Next free player ID in a squad, e.g. `p7`.
+ *
+ * @param {Array<{id: string}>} players
+ * @returns {string}
+ */
+function nextPlayerId(players) {
+  const max = players.reduce((n, p) => Math.max(n, parseInt(String(p.id).slice(1), 10) || 0), 0);
+  return `p${max + 1}`;
+}
+
+/**
+ * Register a new player with a team.
+ *
+ * @param {string} tournamentId
+ * @param {string} team
+ * @param {Object} input name, number and position
+ * @returns {{error?: string, notFound?: boolean, player?: Object, players?: Array<Object>}}
+ */
+function addPlayer(tournamentId, team, input) {
+  let player;
+  const result = updateSquad(tournamentId, team, (players) => {
+    const checked = normalizePlayer(input, players);
+    if (checked.error) return checked;
+    player = { id: nextPlayerId(players), ...checked.player };
+    return { players: players.concat(player) };
+  });
+  return result.error ? result : { player, players: result.players };
+}
+
+/**
+ * Replace a whole squad at once. Players that keep their `id` keep
+ * their identity; new ones are given one.
+ *
+ * @param {string} tournamentId
+ * @param {string} team
+ * @param {Array<Object>} input
+ * @returns {{error?: string, notFound?: boolean, players?: Array<Object>}}
+ */
+function replaceSquad(tournamentId, team, input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Players must be a list.' };
+  }
+  return updateSquad(tournamentId, team, (current) => {
+    const known = new Set(current.map((p) => p.id));
+    const players = [];
+    for (const entry of input) {
+      const checked = normalizePlayer(entry, players);
+      if (checked.error) return checked;
+      const keepId = entry.id && known.has(entry.id) && !players.some((p) => p.id === entry.id);
+      players.push({ id: keepId ? entry.id : nextPlayerId(current.concat(players)), ...checked.player });
+    }
+    return { players };
+  });
+}
+
+/**
+ * Update a registered player's name, shirt number or position. Fields
+ * that are left out keep their current value.
+ *
+ * @param {string} tournamentId
+ * @param {string} team
+ * @param {string} playerId
+ * @param {Object} input
+ * @returns {{error?: string, notFound?: boolean, player?: Object, players?: Array<Object>}}
+ */
+function updatePlayer(tournamentId, team, playerId, input) {
+  let player;
+  const result = updateSquad(tournamentId, team, (players) => {
+    const existing = players.find((p) => p.id === playerId);
+    if (!existing) return { error: 'Player not found.', notFound: true };
+    const others = players.filter((p) => p !== existing);
+    const checked = normalizePlayer({ ...existing, ...(input || {}) }, others);
+    if (checked.error) return checked;
+    player = { id: playerId, ...checked.player };
+    return { players: others.concat(player) };
+  });
+  return result.error ? result : { player, players: result.players };
+}
+
+/**
+ * Remove a player from a squad.
+ *
+ * @param {string} tournamentId
+ * @param {string} team
+ * @param {string} playerId
+ * @returns {{error?: string, notFound?: boolean, players?: Array<Object>}}
+ */
+function removePlayer(tournamentId, team, playerId) {
+  return updateSquad(tournamentId, team, (players) => {
+    if (!players.some((p) => p.id === playerId)) return { error: 'Player not found.', notFound: true };
+    return { players: players.filter((p) => p.id !== playerId) };
+  });
+}
+
+/**
+ * Apply a match result to a scoreboard object. Mutates the
+ * scoreboard in place. Accepts an object with a `scoreboard` property.
+ * Points are awarded according to `pointsSystem`, including any bonus
+ * points, which are also tallied separately in each team's `bonus`.
+ */
+function applyMatchResult(data, home, away, homeScore, awayScore, pointsSystem = DEFAULT_POINTS) {
+  const ensureTeam = (team) => {
     if (!data.scoreboard[team]) {
       data.scoreboard[team] = {
         played: 0,
@@ -219,6 +1181,7 @@ function applyMatchResult(data, home, away, homeScore, awayScore) {
         goalsFor: 0,
         goalsAgainst: 0,
         goalDifference: 0,
+        bonus: 0,
         points: 0,
         logo: null,
       };
@@ -239,35 +1202,122 @@ function applyMatchResult(data, home, away, homeScore, awayScore) {
   if (homeScore > awayScore) {
     homeTeam.wins += 1;
     awayTeam.losses += 1;
-    homeTeam.points += 3;
+    homeTeam.points += pointsSystem.win;
+    awayTeam.points += pointsSystem.loss;
   } else if (homeScore < awayScore) {
     awayTeam.wins += 1;
     homeTeam.losses += 1;
-    awayTeam.points += 3;
+    awayTeam.points += pointsSystem.win;
+    homeTeam.points += pointsSystem.loss;
   } else {
     homeTeam.draws += 1;
     awayTeam.draws += 1;
-    homeTeam.points += 1;
-    awayTeam.points += 1;
+    homeTeam.points += pointsSystem.draw;
+    awayTeam.points += pointsSystem.draw;
+  }
+  const awardBonus = (team, scored, conceded) => {
+    (pointsSystem.bonus || []).forEach((rule) => {
+      const earned =
+        (rule.type === 'winMargin' && scored - conceded >= rule.margin) ||
+        (rule.type === 'goalsScored' && scored >= rule.goals);
+      if (earned) {
+        team.bonus = (team.bonus || 0) + rule.points;
+        team.points += rule.points;
+      }
+    });
+  };
+  awardBonus(homeTeam, homeScore, awayScore);
+  awardBonus(awayTeam, awayScore, homeScore);
+}
+
+// Kinds of match event that can be recorded with a result
+const MATCH_EVENT_TYPES = ['goal', 'yellow', 'red'];
+
+/**
+ * Validate the events recorded with a result. Every event names its
+ * `type` (goal, yellow or red), `team` (home or away side of the match)
+ * and `player`, with an optional `minute` (0–150). Goals may carry an
+ * `assist` and an `ownGoal` flag; a goal's `team` is always the side it
+ * counts for, so an own goal's scorer plays for the other side. Once
+ * any goal is recorded the goals must account for the whole score.
+ * Events are returned in minute order.
+ *
+ * @param {Array<Object>} input
+ * @param {string} home
+ * @param {string} away
+ * @param {number} homeScore
+ * @param {number} awayScore
+ * @returns {{error?: string, events?: Array<Object>}}
+ */
+function normalizeMatchEvents(input, home, away, homeScore, awayScore) {
+  if (!Array.isArray(input)) {
+    return { error: 'Match events must be a list.' };
+  }
+  const events = [];
+  for (const [i, event] of input.entries()) {
+    const label = `Event ${i + 1}`;
+    if (!event || !MATCH_EVENT_TYPES.includes(event.type)) {
+      return { error: `${label}: type must be one of ${MATCH_EVENT_TYPES.join(', ')}.` };
+    }
+    if (event.team !== home && event.team !== away) {
+      return { error: `${label}: team must be ${home} or ${away}.` };
+    }
+    const player = typeof event.player === 'string' ? event.player.trim() : '';
+    if (!player) {
+      return { error: `${label}: a player is required.` };
+    }
+    const normalized = { type: event.type, team: event.team, player };
+    if (event.minute !== null && typeof event.minute !== 'undefined' && event.minute !== '') {
+      const minute = Number(event.minute);
+      if (!Number.isInteger(minute) || minute < 0 || minute > 150) {
+        return { error: `${label}: minute must be a whole number between 0 and 150.` };
+      }
+      normalized.minute = minute;
+    }
+    if (event.type === 'goal') {
+      const assist = typeof event.assist === 'string' ? event.assist.trim() : '';
+      if (assist && (event.ownGoal || assist === player)) {
+        return { error: `${label}: ${event.ownGoal ? 'own goals have no assist' : 'a player cannot assist their own goal'}.` };
+      }
+      if (assist) normalized.assist = assist;
+      if (event.ownGoal) normalized.ownGoal = true;
+    }
+    events.push(normalized);
+  }
+  const goals = events.filter((e) => e.type === 'goal');
+  const homeGoals = goals.filter((e) => e.team === home).length;
+  if (goals.length && (homeGoals !== homeScore || goals.length - homeGoals !== awayScore)) {
+    return { error: `The goal events (${homeGoals}-${goals.length - homeGoals}) do not match the score (${homeScore}-${awayScore}).` };
   }
+  // Stable sort keeps the submitted order for events without a minute
+  events.sort((a, b) => (a.minute === undefined || b.minute === undefined ? 0 : a.minute - b.minute));
+  return { events };
 }
 
 /**
  * Update (or create) a match result for a given tournament. The
  * scoreboard and results are recalculated from scratch to avoid
  * inconsistencies. Logos are preserved from the existing
- * scoreboard. Returns the updated scoreboard data or an error
- * message.
+ * scoreboard. An `events` list (see normalizeMatchEvents) replaces the
+ * match's recorded events; without one the events already recorded are
+ * kept, and must still fit the score. When a suspended player appears
+ * in them the result is rejected, or saved with a warning, depending on
+ * the tournament's discipline settings. Returns the updated scoreboard
+ * data (and any warnings) or an error message.
  *
  * @param {string} tournamentId
- * @param {Object} payload Contains id, home, away, homeScore, awayScore
- * @returns {{error?: string, data?: {scoreboard: Object, results: Array, knockout: any}}}
+ * @param {Object} payload Contains id, home, away, homeScore, awayScore and optionally events
+ * @param {string|null} [actor] Username recorded in the history
+ * @returns {{error?: string, warnings?: string[], data?: {scoreboard: Object, results: Array, knockout: any}}}
  */
-function updateMatchResult(tournamentId, payload) {
+function updateMatchResult(tournamentId, payload, actor = null) {
   const data = loadScoreboard(tournamentId);
   if (!data) {
     return { error: 'No scoreboard found. Generate a schedule first.' };
   }
+  if (getFormat(tournamentId) === 'knockout') {
+    return { error: 'Knockout tournaments record results through the bracket.' };
+  }
   const { id, home, away, homeScore, awayScore } = payload;
   if (!home || !away || home === away) {
     return { error: 'Invalid teams.' };
@@ -278,18 +1328,73 @@ function updateMatchResult(tournamentId, payload) {
     return { error: 'Scores must be non‑negative integers.' };
   }
   const matchId = id || `${home}-${away}`;
+  let events = null;
+  if (Array.isArray(payload.events)) {
+    const eventsResult = normalizeMatchEvents(payload.events, home, away, hScore, aScore);
+    if (eventsResult.error) {
+      return { error: eventsResult.error };
+    }
+    events = eventsResult.events;
+  } else if (typeof payload.events !== 'undefined' && payload.events !== null) {
+    return { error: 'Match events must be a list.' };
+  } else {
+    // Cards feed suspensions, so recorded events are never dropped silently
+    const existing = (data.results || []).find((r) => r.id === matchId);
+    if (existing && existing.events) {
+      const eventsResult = normalizeMatchEvents(existing.events, home, away, hScore, aScore);
+      if (eventsResult.error) {
+        return { error: `${eventsResult.error} Send the match events along with the new score.` };
+      }
+      events = eventsResult.events;
+    }
+  }
   // Remove existing result with same id if editing
   let existingIndex = -1;
+  let previous = null;
   if (Array.isArray(data.results)) {
     existingIndex = data.results.findIndex((r) => r.id === matchId);
     if (existingIndex !== -1) {
-      data.results.splice(existingIndex, 1);
+      [previous] = data.results.splice(existingIndex, 1);
     }
   } else {
     data.results = [];
   }
-  data.results.push({ id: matchId, home, away, homeScore: hScore, awayScore: aScore });
-  // Recalculate scoreboard. Gather teams from existing scoreboard and results
+  const result = { id: matchId, home, away, homeScore: hScore, awayScore: aScore };
+  if (events && events.length) result.events = events;
+  data.results.push(result);
+  // Suspended players may not appear in the events of this match
+  const warnings = [];
+  if (result.events) {
+    const discipline = getDiscipline(tournamentId, data);
+    const banned = discipline.violations.filter((v) => v.matchId === matchId);
+    if (banned.length) {
+      const names = banned.map((v) => `${v.player} (${v.team})`).join(', ');
+      if (discipline.config.suspendedPlayers === 'reject') {
+        return { error: `Suspended for this match: ${names}.` };
+      }
+      warnings.push(`Suspended player${banned.length === 1 ? '' : 's'} in the events: ${names}.`);
+    }
+  }
+  recalculateScoreboard(tournamentId, data);
+  saveScoreboard(tournamentId, data);
+  recordHistory(tournamentId, actor, { kind: 'result', action: 'update', matchId, before: previous, after: result });
+  notifyTournament(tournamentId, 'scoreboard', { matchId });
+  return { data, warnings };
+}
+
+/**
+ * Rebuild `data.scoreboard` from `data.results`. The scoreboard is
+ * recalculated from scratch using the tournament's points system so it
+ * can never drift from the recorded results. Logos are preserved from
+ * the existing scoreboard. Swiss byes recorded in `data.byes` are worth
+ * a win's points (no goals) to the team that sat out.
+ *
+ * @param {string} tournamentId
+ * @param {Object} data Scoreboard data; mutated in place
+ */
+function recalculateScoreboard(tournamentId, data) {
+  if (!Array.isArray(data.results)) data.results = [];
+  // Gather teams from existing scoreboard and results
   const existingTeams = Object.keys(data.scoreboard || {});
   const teamSet = new Set(existingTeams);
   data.results.forEach((r) => {
@@ -303,160 +1408,2346 @@ function updateMatchResult(tournamentId, payload) {
     if (data.scoreboard[t] && data.scoreboard[t].logo) logos[t] = data.scoreboard[t].logo;
   });
   const newScoreboard = createInitialScoreboard(teams, logos);
-  // Apply each result
+  // Apply each result using the tournament's points system
+  const pointsSystem = getPointsSystem(tournamentId);
   data.results.forEach((r) => {
-    applyMatchResult({ scoreboard: newScoreboard }, r.home, r.away, r.homeScore, r.awayScore);
+    applyMatchResult({ scoreboard: newScoreboard }, r.home, r.away, r.homeScore, r.awayScore, pointsSystem);
+  });
+  (data.byes || []).forEach((bye) => {
+    const entry = newScoreboard[bye.team];
+    if (!entry) return;
+    entry.byes = (entry.byes || 0) + 1;
+    entry.points += pointsSystem.win;
   });
   data.scoreboard = newScoreboard;
-  saveScoreboard(tournamentId, data);
-  return { data };
 }
 
 /**
- * Generate a knockout bracket (semi finals and final) for a
- * tournament. Requires the group stage to be complete and at least
- * four teams. Stores the bracket in the scoreboard.
+ * Locate a fixture in a schedule by ID.
+ *
+ * @param {Array<Array<Object>>} schedule
+ * @param {string} fixtureId
+ * @returns {{round: number, match: Object}|null}
+ */
+function findFixture(schedule, fixtureId) {
+  for (let r = 0; r < schedule.length; r++) {
+    const match = schedule[r].find((m) => m.id === fixtureId);
+    if (match) return { round: r, match };
+  }
+  return null;
+}
+
+/**
+ * Check that a fixture can kick off at the given date, time and pitch:
+ * the pitch must be free, both teams must be available and neither may
+ * have another fixture within the minimum rest period (the calendar's,
+ * or the default when fixtures were dated by hand).
+ *
+ * @param {Array<Array<Object>>} schedule
+ * @param {Object} match The fixture being moved
+ * @param {{date: string, time: string, pitch: string}} slot
+ * @param {Object|null} calendar
+ * @param {Object<string, Array>} availability
+ * @returns {string|null} Reason the slot cannot be used, or null
+ */
+function checkFixtureSlot(schedule, match, slot, calendar, availability) {
+  const start = parseCalendarDate(slot.date, slot.time);
+  const restHours = calendar ? calendar.minRestHours : DEFAULT_MIN_REST_HOURS;
+  for (const other of schedule.flat()) {
+    if (other.id === match.id || !other.date) continue;
+    const otherStart = parseCalendarDate(other.date, other.time);
+    if (otherStart === start && other.pitch === slot.pitch) {
+      return `${slot.pitch} is already booked for ${other.home} vs ${other.away} at that time.`;
+    }
+    const shared = [match.home, match.away].find((team) => team === other.home || team === other.away);
+    if (shared && Math.abs(otherStart - start) < Math.max(restHours * 60 * 60 * 1000, 1)) {
+      return `${shared} plays ${other.home} vs ${other.away} on ${other.date} ${other.time}, less than ${restHours} hours apart.`;
+    }
+  }
+  for (const team of [match.home, match.away]) {
+    const entry = findUnavailability(availability, team, start);
+    if (entry) return `${describeUnavailability(team, entry)}.`;
+  }
+  return null;
+}
+
+/**
+ * Move a fixture to another round and/or another date. The payload may
+ * carry `round` (0‑based index of an existing round) and `date` with
+ * `time` and optionally `pitch` (defaulting to the fixture's current
+ * pitch, then the calendar's first). Neither team may already play in
+ * the target round and the new slot must pass checkFixtureSlot. Moving
+ * a postponed fixture reinstates it. Results are keyed by fixture ID
+ * and so stay attached.
  *
  * @param {string} tournamentId
- * @returns {{error?: string, knockout?: any}}
+ * @param {string} fixtureId
+ * @param {{round?: number, date?: string, time?: string, pitch?: string}} payload
+ * @returns {{error?: string, fixture?: Object, schedule?: Array}}
  */
-function generatePlayoff(tournamentId) {
+function moveFixture(tournamentId, fixtureId, payload) {
   const schedule = loadSchedule(tournamentId);
-  const data = loadScoreboard(tournamentId);
-  if (!schedule || !data) {
-    return { error: 'No tournament data found.' };
+  const found = schedule && findFixture(schedule, fixtureId);
+  if (!found) {
+    return { error: 'Fixture not found.' };
   }
-  if (data.knockout) {
-    return { knockout: data.knockout };
+  const { match } = found;
+  const hasRound = typeof payload.round !== 'undefined' && payload.round !== null;
+  if (!hasRound && !payload.date) {
+    return { error: 'Give a round or a date to move the fixture to.' };
   }
-  // Count matches in schedule
-  let totalMatches = 0;
-  schedule.forEach((round) => {
-    totalMatches += round.length;
-  });
-  if (!data.results || data.results.length < totalMatches) {
-    return { error: 'Group stage is not yet complete.' };
+  let targetRound = found.round;
+  if (hasRound) {
+    targetRound = Number(payload.round);
+    if (!Number.isInteger(targetRound) || targetRound < 0 || targetRound >= schedule.length) {
+      return { error: `Round must be between 0 and ${schedule.length - 1}.` };
+    }
+    if (targetRound !== found.round && getFormat(tournamentId) === 'swiss') {
+      return { error: 'Swiss rounds are paired from the standings, so fixtures cannot change round.' };
+    }
+    const clash = schedule[targetRound].find((m) => m.id !== match.id &&
+      [m.home, m.away].some((team) => team === match.home || team === match.away));
+    if (clash) {
+      return { error: `${clash.home} vs ${clash.away} already involves one of these teams in round ${targetRound}.` };
+    }
   }
-  const teams = Object.keys(data.scoreboard);
-  if (teams.length < 4) {
-    return { error: 'At least four teams are required for semi finals.' };
-  }
-  // Sort by points, goal difference, goals for
-  const standings = teams.map((t) => ({ team: t, ...data.scoreboard[t] }));
-  standings.sort((a, b) => {
-    if (b.points !== a.points) return b.points - a.points;
-    if (b.goalDifference !== a.goalDifference) return b.goalDifference - a.goalDifference;
-    if (b.goalsFor !== a.goalsFor) return b.goalsFor - a.goalsFor;
-    return a.team.localeCompare(b.team);
-  });
-  const top4 = standings.slice(0, 4).map((s) => s.team);
-  const knockout = {
-    semiFinals: [
-      { id: 'sf1', home: top4[0], away: top4[3], homeScore: null, awayScore: null, winner: null },
-      { id: 'sf2', home: top4[1], away: top4[2], homeScore: null, awayScore: null, winner: null },
-    ],
-    final: { id: 'final', home: null, away: null, homeScore: null, awayScore: null, winner: null },
-  };
-  data.knockout = knockout;
-  saveScoreboard(tournamentId, data);
-  return { knockout };
+  let slot = null;
+  if (payload.date) {
+    const calendar = getCalendarConfig(tournamentId);
+    const date = String(payload.date);
+    const time = String(payload.time || '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{2}:\d{2}$/.test(time) || isNaN(parseCalendarDate(date, time))) {
+      return { error: 'Date must be YYYY-MM-DD and time HH:MM.' };
+    }
+    const pitch = payload.pitch ? String(payload.pitch).trim() : (match.pitch || (calendar && calendar.pitches[0]));
+    if (!pitch) {
+      return { error: 'A pitch is required.' };
+    }
+    if (calendar && !calendar.pitches.includes(pitch)) {
+      return { error: `Pitch must be one of: ${calendar.pitches.join(', ')}.` };
+    }
+    slot = { date, time, pitch };
+    const reason = checkFixtureSlot(schedule, match, slot, calendar, getAvailability(tournamentId));
+    if (reason) {
+      return { error: reason };
+    }
+  }
+  if (targetRound !== found.round) {
+    schedule[found.round].splice(schedule[found.round].indexOf(match), 1);
+    schedule[targetRound].push(match);
+  }
+  if (slot) {
+    Object.assign(match, slot);
+    delete match.postponed;
+  }
+  saveSchedule(tournamentId, schedule);
+  notifyTournament(tournamentId, 'schedule', { matchId: fixtureId });
+  return { fixture: match, schedule };
 }
 
 /**
- * Update a knockout match result for a tournament. If semi finals are
- * both decided the final pairing is automatically populated. If the
- * final is decided the winner is stored. In case of a draw the home
- * team advances by default (clients should avoid draws).
+ * Postpone a fixture that has not been played yet. Its date, time and
+ * pitch are released and the reason is kept in `postponed` together
+ * with the original kick‑off, until the fixture is moved to a new date.
  *
  * @param {string} tournamentId
- * @param {Object} payload {id, homeScore, awayScore}
- * @returns {{error?: string, knockout?: any}}
+ * @param {string} fixtureId
+ * @param {string} reason
+ * @returns {{error?: string, fixture?: Object, schedule?: Array}}
  */
-function updateKnockout(tournamentId, payload) {
-  const data = loadScoreboard(tournamentId);
-  if (!data || !data.knockout) {
-    return { error: 'No knockout bracket found.' };
+function postponeFixture(tournamentId, fixtureId, reason) {
+  const schedule = loadSchedule(tournamentId);
+  const found = schedule && findFixture(schedule, fixtureId);
+  if (!found) {
+    return { error: 'Fixture not found.' };
   }
-  const { id, homeScore, awayScore } = payload;
-  const h = parseInt(homeScore, 10);
-  const a = parseInt(awayScore, 10);
-  if (!id || isNaN(h) || isNaN(a) || h < 0 || a < 0) {
-    return { error: 'Invalid knockout update payload.' };
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) {
+    return { error: 'A reason is required to postpone a fixture.' };
   }
-  let match;
-  if (id === 'final') {
-    match = data.knockout.final;
-  } else {
-    match = data.knockout.semiFinals.find((sf) => sf.id === id);
+  const data = loadScoreboard(tournamentId);
+  if (data && (data.results || []).some((r) => r.id === fixtureId)) {
+    return { error: 'This fixture has already been played.' };
   }
-  if (!match) {
-    return { error: 'Match not found in knockout bracket.' };
+  const { match } = found;
+  match.postponed = {
+    reason: text,
+    from: match.date ? { date: match.date, time: match.time, pitch: match.pitch } : null,
+  };
+  delete match.date;
+  delete match.time;
+  delete match.pitch;
+  saveSchedule(tournamentId, schedule);
+  notifyTournament(tournamentId, 'schedule', { matchId: fixtureId });
+  return { fixture: match, schedule };
+}
+
+/**
+ * Swap a fixture's home and away sides. The reversed fixture must not
+ * already exist (e.g. the other leg of a home‑and‑away league). A
+ * recorded result is swapped with it, so each team keeps its goals, and
+ * the scoreboard is recalculated.
+ *
+ * @param {string} tournamentId
+ * @param {string} fixtureId
+ * @param {string|null} [actor] Username recorded in the history
+ * @returns {{error?: string, fixture?: Object, schedule?: Array}}
+ */
+function swapFixture(tournamentId, fixtureId, actor = null) {
+  const schedule = loadSchedule(tournamentId);
+  const found = schedule && findFixture(schedule, fixtureId);
+  if (!found) {
+    return { error: 'Fixture not found.' };
   }
-  match.homeScore = h;
-  match.awayScore = a;
-  if (h > a) {
-    match.winner = match.home;
-  } else if (h < a) {
-    match.winner = match.away;
-  } else {
-    match.winner = match.home; // default winner on draw
+  const { match } = found;
+  const reversed = schedule.flat().find((m) => m.id !== match.id && m.home === match.away && m.away === match.home);
+  if (reversed) {
+    return { error: `${match.away} already hosts ${match.home} in another fixture.` };
+  }
+  [match.home, match.away] = [match.away, match.home];
+  const data = loadScoreboard(tournamentId);
+  const result = data && (data.results || []).find((r) => r.id === fixtureId);
+  if (result) {
+    const before = { ...result };
+    [result.home, result.away] = [result.away, result.home];
+    [result.homeScore, result.awayScore] = [result.awayScore, result.homeScore];
+    recalculateScoreboard(tournamentId, data);
+    saveScoreboard(tournamentId, data);
+    recordHistory(tournamentId, actor, { kind: 'result', action: 'swap', matchId: fixtureId, before, after: { ...result } });
   }
-  // After semi finals set final teams
-  if (id.startsWith('sf')) {
-    const decided = data.knockout.semiFinals.every((sf) => sf.winner);
-    if (decided && !data.knockout.final.home && !data.knockout.final.away) {
-      data.knockout.final.home = data.knockout.semiFinals[0].winner;
-      data.knockout.final.away = data.knockout.semiFinals[1].winner;
+  saveSchedule(tournamentId, schedule);
+  notifyTournament(tournamentId, 'schedule', { matchId: fixtureId });
+  return { fixture: match, schedule };
+}
+
+/**
+ * Escape a text value for an iCalendar property (RFC 5545 §3.3.11).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar content line so no physical line exceeds 75 octets;
+ * continuation lines start with a single space.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // The first line may hold 75 octets, continuations 74 after their leading space
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
     }
+    current += char;
+    size += bytes;
   }
-  // Save updated bracket
-  saveScoreboard(tournamentId, data);
-  return { knockout: data.knockout };
+  parts.push(current);
+  return parts.join('\r\n ');
 }
 
 /**
- * Helper to parse JSON body of a request. Returns a promise.
+ * Format a calendar timestamp (from parseCalendarDate) as an iCalendar
+ * local date‑time such as `20260307T150000`. Kick‑off times are wall
+ * clock times, so they are emitted as floating times without a zone.
+ *
+ * @param {number} ms
+ * @returns {string}
  */
-function parseRequestBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', (chunk) => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      try {
-        const json = body ? JSON.parse(body) : {};
-        resolve(json);
-      } catch (err) {
-        reject(err);
+function formatIcsDateTime(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+/**
+ * Build an iCalendar feed of a tournament's dated fixtures, optionally
+ * only those of one team. Every event's UID is derived from the fixture
+ * ID so calendar apps update events in place when a fixture moves or a
+ * result comes in. Played fixtures show the final score in the summary;
+ * postponed fixtures keep their original slot and are marked cancelled
+ * so subscribers see the change.
+ *
+ * @param {string} tournamentId
+ * @param {{team?: string|null}} [options]
+ * @returns {string|null} The feed, or null if the tournament has no schedule
+ */
+function buildIcsCalendar(tournamentId, options = {}) {
+  const tournament = findTournament(tournamentId);
+  const schedule = loadSchedule(tournamentId);
+  if (!tournament || !schedule) return null;
+  const data = loadScoreboard(tournamentId);
+  const results = {};
+  ((data && data.results) || []).forEach((r) => {
+    results[r.id] = r;
+  });
+  const team = options.team || null;
+  const stamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+  const title = team ? `${tournament.name} – ${team}` : tournament.name;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Football Tournament Scheduler//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(title)}`,
+  ];
+  schedule.forEach((round, roundIndex) => {
+    round.forEach((match) => {
+      if (team && match.home !== team && match.away !== team) return;
+      const slot = match.date ? match : match.postponed && match.postponed.from;
+      if (!slot) return;
+      const start = parseCalendarDate(slot.date, slot.time);
+      const result = results[match.id];
+      const description = [`${tournament.name}, round ${roundIndex + 1}`];
+      let summary = `${match.home} vs ${match.away}`;
+      if (result) {
+        summary = `${match.home} ${result.homeScore}-${result.awayScore} ${match.away}`;
+        description.push(`Final score: ${summary}`);
+      }
+      if (!match.date) {
+        summary = `POSTPONED: ${summary}`;
+        description.push(`Postponed: ${match.postponed.reason}`);
       }
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${escapeIcsText(`${tournamentId}-${match.id}`)}@football-tournament-scheduler`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDateTime(start)}`,
+        `DTEND:${formatIcsDateTime(start + MATCH_DURATION_MS)}`,
+        `SUMMARY:${escapeIcsText(summary)}`,
+        `LOCATION:${escapeIcsText(slot.pitch)}`,
+        `DESCRIPTION:${escapeIcsText(description.join('\n'))}`,
+        `STATUS:${match.date ? 'CONFIRMED' : 'CANCELLED'}`,
+        'END:VEVENT',
+      );
     });
   });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
 }
 
 /**
- * Decode a base64 data URL into a Buffer and determine the file extension.
- * Expects strings in the format `data:image/png;base64,<base64>`.
- * Returns `{ buffer, ext }` or null if the input is invalid.
+ * Parse CSV text (RFC 4180: comma separated, fields optionally quoted
+ * with `"`, quotes doubled inside quoted fields) into rows of fields.
+ * Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
  */
-function decodeBase64Image(dataString) {
-  if (!dataString) return null;
-  const matches = dataString.match(/^data:(image\/\w+);base64,(.+)$/);
-  if (!matches || matches.length !== 3) {
-    return null;
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
   }
-  const mime = matches[1];
-  const ext = mime.split('/')[1];
-  const buffer = Buffer.from(matches[2], 'base64');
-  return { buffer, ext };
+  row.push(field);
+  rows.push(row);
+  return rows.filter((r) => r.length > 1 || r[0].trim() !== '');
 }
 
 /**
- * HTTP request handler. Routes incoming requests to the appropriate
- * operation based on the path and HTTP method. Supports tournament
- * management, match results, knockouts and static file serving.
+ * Serialise rows into CSV text, quoting fields that contain commas,
+ * quotes or line breaks. `null` and `undefined` become empty fields.
  *
- * @param {import('http').IncomingMessage} req
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const quote = (value) => {
+    const text = value === null || typeof value === 'undefined' ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `${rows.map((row) => row.map(quote).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Export a tournament's fixtures as CSV, one row per fixture with its
+ * round (1‑based), group, calendar slot, status and score if played.
+ *
+ * @param {string} tournamentId
+ * @returns {string|null}
+ */
+function fixturesToCsv(tournamentId) {
+  const schedule = loadSchedule(tournamentId);
+  if (!schedule) return null;
+  const data = loadScoreboard(tournamentId);
+  const results = {};
+  ((data && data.results) || []).forEach((r) => {
+    results[r.id] = r;
+  });
+  const rows = [['id', 'round', 'group', 'home', 'away', 'date', 'time', 'pitch', 'status', 'homeScore', 'awayScore']];
+  schedule.forEach((round, roundIndex) => {
+    round.forEach((match) => {
+      const result = results[match.id];
+      const status = result ? 'played' : match.postponed ? 'postponed' : 'scheduled';
+      rows.push([
+        match.id, roundIndex + 1, match.group || '', match.home, match.away,
+        match.date, match.time, match.pitch, status,
+        result ? result.homeScore : '', result ? result.awayScore : '',
+      ]);
+    });
+  });
+  return toCsv(rows);
+}
+
+/**
+ * Export a tournament's recorded results as CSV. The columns match what
+ * the results import accepts, so an export can be edited and imported
+ * again.
+ *
+ * @param {string} tournamentId
+ * @returns {string|null}
+ */
+function resultsToCsv(tournamentId) {
+  const data = loadScoreboard(tournamentId);
+  if (!data) return null;
+  const rows = [['id', 'home', 'away', 'homeScore', 'awayScore']];
+  (data.results || []).forEach((r) => {
+    rows.push([r.id, r.home, r.away, r.homeScore, r.awayScore]);
+  });
+  return toCsv(rows);
+}
+
+/**
+ * Export the league table as CSV, with a group column for tournaments
+ * with groups.
+ *
+ * @param {string} tournamentId
+ * @returns {string|null}
+ */
+function standingsToCsv(tournamentId) {
+  const data = loadScoreboard(tournamentId);
+  if (!data) return null;
+  const columns = ['position', 'team', 'played', 'wins', 'draws', 'losses', 'goalsFor', 'goalsAgainst', 'goalDifference', 'bonus', 'points'];
+  const groups = getGroupStandings(tournamentId, data);
+  const tables = groups || [{ name: null, standings: getStandings(tournamentId, data) }];
+  const rows = [groups ? ['group', ...columns] : columns];
+  tables.forEach((table) => {
+    table.standings.forEach((row) => {
+      const values = columns.map((column) => row[column]);
+      rows.push(groups ? [table.name, ...values] : values);
+    });
+  });
+  return toCsv(rows);
+}
+
+/**
+ * Import results from CSV. The header row names the columns: `id`
+ * and/or `home` and `away` to identify the fixture, plus `homeScore`
+ * and `awayScore`. Every row is validated on its own; rows that fail
+ * are reported with their line number and the rest are applied
+ * together, replacing any earlier result for the same fixture, with a
+ * single scoreboard recalculation. A fixture's recorded events are
+ * kept with its new score; a row whose score they no longer fit is
+ * rejected, as the CSV cannot correct them.
+ *
+ * @param {string} tournamentId
+ * @param {string} csv
+ * @param {string|null} [actor] Username recorded in the history
+ * @returns {{error?: string, imported?: number, errors?: Array<{row: number, error: string}>, data?: Object}}
+ */
+function importResultsCsv(tournamentId, csv, actor = null) {
+  const data = loadScoreboard(tournamentId);
+  const schedule = loadSchedule(tournamentId);
+  if (!data || !schedule) {
+    return { error: 'No scoreboard found. Generate a schedule first.' };
+  }
+  if (getFormat(tournamentId) === 'knockout') {
+    return { error: 'Knockout tournaments record results through the bracket.' };
+  }
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return { error: 'CSV content is required.' };
+  }
+  const [header, ...rows] = parseCsv(csv);
+  const columns = header.map((h) => h.trim());
+  const col = (name) => columns.indexOf(name);
+  if (col('homeScore') === -1 || col('awayScore') === -1 || (col('id') === -1 && (col('home') === -1 || col('away') === -1))) {
+    return { error: 'The header must have homeScore and awayScore columns plus id or home and away.' };
+  }
+  const fixtures = schedule.flat();
+  const recorded = new Map((data.results || []).map((r) => [r.id, r]));
+  const errors = [];
+  const imported = new Map();
+  rows.forEach((fields, index) => {
+    const line = index + 2;
+    const value = (name) => (col(name) === -1 ? '' : (fields[col(name)] || '').trim());
+    const id = value('id');
+    const home = value('home');
+    const away = value('away');
+    let fixture;
+    if (id) {
+      fixture = fixtures.find((m) => m.id === id);
+      if (!fixture) {
+        errors.push({ row: line, error: `No fixture with ID ${id}.` });
+        return;
+      }
+      if ((home && home !== fixture.home) || (away && away !== fixture.away)) {
+        errors.push({ row: line, error: `Fixture ${id} is ${fixture.home} vs ${fixture.away}, not ${home} vs ${away}.` });
+        return;
+      }
+    } else {
+      const matches = fixtures.filter((m) => m.home === home && m.away === away);
+      if (matches.length !== 1) {
+        errors.push({ row: line, error: matches.length ? `${home} vs ${away} matches several fixtures; give an id.` : `No fixture ${home} vs ${away}.` });
+        return;
+      }
+      fixture = matches[0];
+    }
+    const homeScore = value('homeScore');
+    const awayScore = value('awayScore');
+    if (!/^\d+$/.test(homeScore) || !/^\d+$/.test(awayScore)) {
+      errors.push({ row: line, error: 'Scores must be non‑negative integers.' });
+      return;
+    }
+    if (imported.has(fixture.id)) {
+      errors.push({ row: line, error: `Fixture ${fixture.id} already appears on row ${imported.get(fixture.id).row}.` });
+      return;
+    }
+    const result = { id: fixture.id, home: fixture.home, away: fixture.away, homeScore: Number(homeScore), awayScore: Number(awayScore) };
+    // Cards feed suspensions, so recorded events are never dropped silently
+    const existing = recorded.get(fixture.id);
+    if (existing && existing.events && existing.events.length) {
+      const eventsResult = normalizeMatchEvents(existing.events, fixture.home, fixture.away, result.homeScore, result.awayScore);
+      if (eventsResult.error) {
+        errors.push({ row: line, error: `Fixture ${fixture.id} has recorded events that no longer fit the score; update it together with its events instead.` });
+        return;
+      }
+      result.events = eventsResult.events;
+    }
+    imported.set(fixture.id, { row: line, result });
+  });
+  if (imported.size) {
+    const previous = {};
+    (data.results || []).forEach((r) => {
+      if (imported.has(r.id)) previous[r.id] = r;
+    });
+    data.results = (data.results || []).filter((r) => !imported.has(r.id))
+      .concat(Array.from(imported.values()).map((entry) => entry.result));
+    recalculateScoreboard(tournamentId, data);
+    saveScoreboard(tournamentId, data);
+    imported.forEach(({ result }, matchId) => {
+      recordHistory(tournamentId, actor, { kind: 'result', action: 'import', matchId, before: previous[matchId] || null, after: result });
+    });
+    notifyTournament(tournamentId, 'scoreboard', {});
+  }
+  return { imported: imported.size, errors, data };
+}
+
+/**
+ * Fair‑play penalty points per card, lower totals rank higher.
+ */
+const FAIR_PLAY_PENALTIES = { yellow: 1, red: 3 };
+
+/**
+ * Rank teams into a league table. Teams are ordered by points and then
+ * by each tiebreaker in `tiebreakers`, with team name as the last
+ * resort. Only teams still level on every earlier criterion are
+ * compared. `headToHead` builds a mini‑league from the results between
+ * the tied teams (points, then goal difference, then goals scored); if
+ * that separates some but not all of them, head‑to‑head is applied
+ * again to each remaining tied subgroup before moving on down the chain.
+ *
+ * Each returned row carries the team's statistics, its `position` and
+ * the `tiebreaker` that finally separated it from the teams around it
+ * (`points` when it was never level with anyone).
+ *
+ * @param {Object} scoreboard Team statistics keyed by team name
+ * @param {Array} results Recorded results used for head‑to‑head, away goals and fair play
+ * @param {{tiebreakers?: string[], pointsSystem?: Object}} [options]
+ * @returns {Array<Object>}
+ */
+function rankStandings(scoreboard, results, options = {}) {
+  const tiebreakers = options.tiebreakers || DEFAULT_TIEBREAKERS;
+  const pointsSystem = options.pointsSystem || DEFAULT_POINTS;
+  const chain = ['points', ...tiebreakers, 'name'];
+  const played = (results || []).filter((r) => scoreboard[r.home] && scoreboard[r.away]);
+  // Totals that are not kept on the scoreboard itself
+  const awayGoals = {};
+  const fairPlay = {};
+  Object.keys(scoreboard).forEach((team) => {
+    awayGoals[team] = 0;
+    fairPlay[team] = 0;
+  });
+  // Buchholz: the points of every opponent faced; Cut 1 drops the weakest one
+  const opponents = {};
+  Object.keys(scoreboard).forEach((team) => {
+    opponents[team] = [];
+  });
+  played.forEach((r) => {
+    opponents[r.home].push(scoreboard[r.away].points);
+    opponents[r.away].push(scoreboard[r.home].points);
+  });
+  const buchholz = {};
+  const buchholzCut1 = {};
+  Object.keys(opponents).forEach((team) => {
+    const list = opponents[team];
+    buchholz[team] = list.reduce((sum, p) => sum + p, 0);
+    buchholzCut1[team] = list.length > 1 ? buchholz[team] - Math.min(...list) : buchholz[team];
+  });
+  played.forEach((r) => {
+    awayGoals[r.away] += r.awayScore;
+    (r.events || []).forEach((e) => {
+      if (FAIR_PLAY_PENALTIES[e.type] && e.team in fairPlay) fairPlay[e.team] += FAIR_PLAY_PENALTIES[e.type];
+    });
+  });
+  const headToHead = (group) => {
+    const members = new Set(group);
+    const table = {};
+    group.forEach((team) => {
+      table[team] = { points: 0, goalDifference: 0, goalsFor: 0 };
+    });
+    played.forEach((r) => {
+      if (!members.has(r.home) || !members.has(r.away)) return;
+      const h = table[r.home];
+      const a = table[r.away];
+      h.goalsFor += r.homeScore;
+      a.goalsFor += r.awayScore;
+      h.goalDifference += r.homeScore - r.awayScore;
+      a.goalDifference += r.awayScore - r.homeScore;
+      if (r.homeScore > r.awayScore) {
+        h.points += pointsSystem.win;
+        a.points += pointsSystem.loss;
+      } else if (r.homeScore < r.awayScore) {
+        a.points += pointsSystem.win;
+        h.points += pointsSystem.loss;
+      } else {
+        h.points += pointsSystem.draw;
+        a.points += pointsSystem.draw;
+      }
+    });
+    return (team) => [table[team].points, table[team].goalDifference, table[team].goalsFor];
+  };
+  const keyFor = (criterion, group) => {
+    const stats = (team) => scoreboard[team];
+    switch (criterion) {
+      case 'points': return (team) => [stats(team).points];
+      case 'headToHead': return headToHead(group);
+      case 'goalDifference': return (team) => [stats(team).goalDifference];
+      case 'goalsFor': return (team) => [stats(team).goalsFor];
+      case 'awayGoals': return (team) => [awayGoals[team]];
+      case 'wins': return (team) => [stats(team).wins];
+      case 'fairPlay': return (team) => [-fairPlay[team]];
+      case 'buchholz': return (team) => [buchholz[team]];
+      case 'buchholzCut1': return (team) => [buchholzCut1[team]];
+      default: return () => [0];
+    }
+  };
+  const compareKeys = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return b[i] - a[i];
+    }
+    return 0;
+  };
+  const decidedBy = {};
+  const rank = (group, index) => {
+    if (group.length === 1) return group;
+    const criterion = chain[index];
+    if (criterion === 'name') {
+      group.forEach((team) => { decidedBy[team] = 'name'; });
+      return group.slice().sort((a, b) => a.localeCompare(b));
+    }
+    const key = keyFor(criterion, group);
+    const keyed = group.map((team) => ({ team, key: key(team) }));
+    keyed.sort((a, b) => compareKeys(a.key, b.key));
+    const buckets = [];
+    keyed.forEach((entry) => {
+      const last = buckets[buckets.length - 1];
+      if (last && compareKeys(last.key, entry.key) === 0) {
+        last.teams.push(entry.team);
+      } else {
+        buckets.push({ key: entry.key, teams: [entry.team] });
+      }
+    });
+    if (buckets.length === 1) return rank(group, index + 1);
+    const ordered = [];
+    buckets.forEach((bucket) => {
+      if (bucket.teams.length === 1) {
+        decidedBy[bucket.teams[0]] = criterion;
+        ordered.push(bucket.teams[0]);
+      } else {
+        // Head‑to‑head restarts on the smaller tied group; other criteria move on
+        ordered.push(...rank(bucket.teams, criterion === 'headToHead' ? index : index + 1));
+      }
+    });
+    return ordered;
+  };
+  const order = rank(Object.keys(scoreboard), 0);
+  return order.map((team, i) => ({
+    position: i + 1,
+    team,
+    ...scoreboard[team],
+    awayGoals: awayGoals[team],
+    fairPlay: fairPlay[team],
+    buchholz: buchholz[team],
+    buchholzCut1: buchholzCut1[team],
+    tiebreaker: decidedBy[team] || 'points',
+  }));
+}
+
+/**
+ * Build the player leaderboards from the events recorded with results:
+ * top scorers (own goals excluded), assists, and cards. Players are
+ * identified by name and team. Each list is sorted best first, ties
+ * by name.
+ *
+ * @param {Array<{events?: Array<Object>}>} results
+ * @returns {{scorers: Array<{player: string, team: string, goals: number}>, assists: Array<{player: string, team: string, assists: number}>, cards: Array<{player: string, team: string, yellow: number, red: number}>}}
+ */
+function computeLeaderboards(results) {
+  const players = {};
+  const entry = (player, team) => {
+    const key = `${team}\u0000${player}`;
+    if (!players[key]) players[key] = { player, team, goals: 0, assists: 0, yellow: 0, red: 0 };
+    return players[key];
+  };
+  (results || []).forEach((r) => {
+    (r.events || []).forEach((e) => {
+      if (e.type === 'goal') {
+        if (!e.ownGoal) entry(e.player, e.team).goals += 1;
+        if (e.assist) entry(e.assist, e.team).assists += 1;
+      } else if (e.type === 'yellow' || e.type === 'red') {
+        entry(e.player, e.team)[e.type] += 1;
+      }
+    });
+  });
+  const all = Object.values(players);
+  const byName = (a, b) => a.player.localeCompare(b.player);
+  return {
+    scorers: all.filter((p) => p.goals)
+      .sort((a, b) => b.goals - a.goals || byName(a, b))
+      .map(({ player, team, goals }) => ({ player, team, goals })),
+    assists: all.filter((p) => p.assists)
+      .sort((a, b) => b.assists - a.assists || byName(a, b))
+      .map(({ player, team, assists }) => ({ player, team, assists })),
+    cards: all.filter((p) => p.yellow || p.red)
+      .sort((a, b) => b.red - a.red || b.yellow - a.yellow || byName(a, b))
+      .map(({ player, team, yellow, red }) => ({ player, team, yellow, red })),
+  };
+}
+
+const DEFAULT_DISCIPLINE = { yellowCardsForBan: 3, yellowBanMatches: 1, redCardBanMatches: 1, suspendedPlayers: 'reject' };
+
+/**
+ * Validate a tournament's disciplinary settings. `yellowCardsForBan`
+ * yellow cards across the tournament earn a ban of `yellowBanMatches`
+ * (null switches accumulation off); a red card, or two yellows in one
+ * match, earns `redCardBanMatches`. `suspendedPlayers` decides what
+ * happens when a suspended player appears in a match's events: the
+ * result is rejected, or saved and flagged.
+ *
+ * @param {Object} [input]
+ * @returns {{error?: string, discipline?: {yellowCardsForBan: number|null, yellowBanMatches: number, redCardBanMatches: number, suspendedPlayers: string}}}
+ */
+function normalizeDisciplineConfig(input) {
+  if (typeof input === 'undefined' || input === null) {
+    input = {};
+  }
+  if (typeof input !== 'object') {
+    return { error: 'Discipline settings must be an object.' };
+  }
+  const discipline = { ...DEFAULT_DISCIPLINE };
+  if (typeof input.yellowCardsForBan !== 'undefined') {
+    const value = input.yellowCardsForBan === null || input.yellowCardsForBan === '' ? null : Number(input.yellowCardsForBan);
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return { error: 'Yellow cards for a ban must be a whole number of at least 1, or empty for none.' };
+    }
+    discipline.yellowCardsForBan = value;
+  }
+  for (const key of ['yellowBanMatches', 'redCardBanMatches']) {
+    if (typeof input[key] === 'undefined') continue;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < 0 || value > 10) {
+      return { error: 'Bans must be between 0 and 10 matches.' };
+    }
+    discipline[key] = value;
+  }
+  if (typeof input.suspendedPlayers !== 'undefined') {
+    if (input.suspendedPlayers !== 'reject' && input.suspendedPlayers !== 'flag') {
+      return { error: 'Suspended players must be set to reject or flag.' };
+    }
+    discipline.suspendedPlayers = input.suspendedPlayers;
+  }
+  return { discipline };
+}
+
+/**
+ * Return a tournament's disciplinary settings, falling back to the
+ * defaults for tournaments created before they were stored.
+ *
+ * @param {string} tournamentId
+ * @returns {{yellowCardsForBan: number|null, yellowBanMatches: number, redCardBanMatches: number, suspendedPlayers: string}}
+ */
+function getDisciplineConfig(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  return normalizeDisciplineConfig(tournament && tournament.discipline).discipline || { ...DEFAULT_DISCIPLINE };
+}
+
+/**
+ * List a tournament's played matches in fixture order: league rounds
+ * in order (by kick‑off within a round), then the knockout rounds. A
+ * two‑legged knockout tie counts as one match per leg played.
+ *
+ * @param {Array<Array<Object>>} schedule
+ * @param {{results: Array<Object>, knockout?: Object}} data
+ * @returns {Array<{id: string, home: string, away: string, events: Array<Object>}>}
+ */
+function listPlayedMatches(schedule, data) {
+  const results = {};
+  (data.results || []).forEach((r) => {
+    results[r.id] = r;
+  });
+  const matches = [];
+  (schedule || []).forEach((round) => {
+    round.slice()
+      .sort((a, b) => (a.date && b.date ? `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`) : 0))
+      .forEach((m) => {
+        const result = results[m.id];
+        if (result) matches.push({ id: m.id, home: result.home, away: result.away, events: result.events || [] });
+      });
+  });
+  if (data.knockout) {
+    data.knockout.rounds.forEach((round) => {
+      round.matches.forEach((m) => {
+        if (!m.home || !m.away || m.bye) return;
+        if (m.legs === 2) {
+          if (m.firstLeg) matches.push({ id: `${m.id}-leg1`, home: m.home, away: m.away, events: [] });
+          if (m.secondLeg) matches.push({ id: `${m.id}-leg2`, home: m.away, away: m.home, events: [] });
+        } else if (m.homeScore !== null) {
+          matches.push({ id: m.id, home: m.home, away: m.away, events: [] });
+        }
+      });
+    });
+  }
+  return matches;
+}
+
+/**
+ * Work out every player's disciplinary record by replaying the played
+ * matches in fixture order. A ban is served by the team's next matches;
+ * a player who appears in the events of a match they were suspended for
+ * is reported as a violation. Yellow cards count towards the next ban
+ * and start again from zero once it is given; the two yellows of a
+ * sending off count as a red card instead. Players are identified by
+ * name and team, the team being the side they play for (for an own goal
+ * the opponent of the side it counts for).
+ *
+ * @param {Array<{id: string, home: string, away: string, events: Array<Object>}>} matches From listPlayedMatches
+ * @param {Object} config From getDisciplineConfig
+ * @returns {{players: Array<Object>, violations: Array<{matchId: string, home: string, away: string, player: string, team: string}>}}
+ */
+function computeDiscipline(matches, config) {
+  const players = {};
+  const entry = (player, team) => {
+    const key = `${team}\u0000${player}`;
+    if (!players[key]) {
+      players[key] = { player, team, yellowCards: 0, redCards: 0, yellowsTowardsBan: 0, suspendedMatches: 0, bans: [] };
+    }
+    return players[key];
+  };
+  const violations = [];
+  matches.forEach((match) => {
+    const appearing = new Set();
+    const cards = {};
+    match.events.forEach((e) => {
+      const team = e.ownGoal ? (e.team === match.home ? match.away : match.home) : e.team;
+      const key = `${team}\u0000${e.player}`;
+      appearing.add(key);
+      if (e.assist) appearing.add(`${team}\u0000${e.assist}`);
+      if (e.type === 'yellow' || e.type === 'red') {
+        if (!cards[key]) cards[key] = { player: e.player, team, yellow: 0, red: 0 };
+        cards[key][e.type] += 1;
+      }
+    });
+    // Bans are served before this match's cards count
+    Object.keys(players).forEach((key) => {
+      const record = players[key];
+      if (record.suspendedMatches === 0 || (record.team !== match.home && record.team !== match.away)) return;
+      if (appearing.has(key)) violations.push({ matchId: match.id, home: match.home, away: match.away, player: record.player, team: record.team });
+      record.suspendedMatches -= 1;
+    });
+    Object.values(cards).forEach((c) => {
+      const record = entry(c.player, c.team);
+      record.yellowCards += c.yellow;
+      record.redCards += c.red;
+      if (c.red || c.yellow >= 2) {
+        record.suspendedMatches += config.redCardBanMatches;
+        record.bans.push({ matchId: match.id, reason: c.red ? 'red card' : 'two yellow cards', matches: config.redCardBanMatches });
+        return;
+      }
+      record.yellowsTowardsBan += c.yellow;
+      if (config.yellowCardsForBan !== null && record.yellowsTowardsBan >= config.yellowCardsForBan) {
+        record.yellowsTowardsBan = 0;
+        record.suspendedMatches += config.yellowBanMatches;
+        record.bans.push({ matchId: match.id, reason: `${config.yellowCardsForBan} yellow cards`, matches: config.yellowBanMatches });
+      }
+    });
+  });
+  const list = Object.values(players)
+    .map((record) => ({ ...record, suspended: record.suspendedMatches > 0 }))
+    .sort((a, b) => b.suspendedMatches - a.suspendedMatches || a.team.localeCompare(b.team) || a.player.localeCompare(b.player));
+  return { players: list, violations };
+}
+
+/**
+ * Disciplinary records, settings and violations for a tournament.
+ *
+ * @param {string} tournamentId
+ * @param {Object} [data] Scoreboard data, loaded when omitted
+ * @returns {{config: Object, players: Array<Object>, violations: Array<Object>}|null}
+ */
+function getDiscipline(tournamentId, data = loadScoreboard(tournamentId)) {
+  if (!data) return null;
+  const config = getDisciplineConfig(tournamentId);
+  const matches = listPlayedMatches(loadSchedule(tournamentId) || [], data);
+  return { config, ...computeDiscipline(matches, config) };
+}
+
+/**
+ * Compute the league table for a tournament using its points system
+ * and tiebreaker chain. Loads the scoreboard when `data` is omitted.
+ *
+ * @param {string} tournamentId
+ * @param {Object} [data] Scoreboard data as stored on disk
+ * @returns {Array<Object>|null}
+ */
+function getStandings(tournamentId, data = loadScoreboard(tournamentId)) {
+  if (!data) return null;
+  return rankStandings(data.scoreboard || {}, data.results, {
+    tiebreakers: getTiebreakers(tournamentId),
+    pointsSystem: getPointsSystem(tournamentId),
+  });
+}
+
+/**
+ * Compute one league table per group. Each table only contains the
+ * group's teams, so head‑to‑head and every other tiebreaker are worked
+ * out within the group. Loads the scoreboard when `data` is omitted.
+ *
+ * @param {string} tournamentId
+ * @param {Object} [data] Scoreboard data as stored on disk
+ * @returns {Array<{name: string, standings: Array<Object>}>|null}
+ */
+function getGroupStandings(tournamentId, data = loadScoreboard(tournamentId)) {
+  const groups = getGroups(tournamentId);
+  if (!data || !groups) return null;
+  const options = { tiebreakers: getTiebreakers(tournamentId), pointsSystem: getPointsSystem(tournamentId) };
+  return groups.map((group) => {
+    const scoreboard = {};
+    group.teams.forEach((team) => {
+      if (data.scoreboard[team]) scoreboard[team] = data.scoreboard[team];
+    });
+    return { name: group.name, standings: rankStandings(scoreboard, data.results, options) };
+  });
+}
+
+/**
+ * Rank teams from different groups that finished in the same position,
+ * e.g. all group winners or all third‑placed teams. They never met, so
+ * the comparison uses points and the overall statistics in the
+ * tournament's tiebreaker chain (head‑to‑head has no effect). Groups of
+ * different sizes are compared on raw totals.
+ *
+ * @param {Array<Object>} rows Standings rows from several groups, each with a `group`
+ * @param {string} tournamentId
+ * @param {Array} results
+ * @returns {Array<Object>}
+ */
+function rankAcrossGroups(rows, tournamentId, results) {
+  const scoreboard = {};
+  const groupOf = {};
+  rows.forEach((row) => {
+    scoreboard[row.team] = row;
+    groupOf[row.team] = row.group;
+  });
+  const options = { tiebreakers: getTiebreakers(tournamentId), pointsSystem: getPointsSystem(tournamentId) };
+  return rankStandings(scoreboard, results, options).map((row) => ({ ...row, group: groupOf[row.team] }));
+}
+
+/**
+ * Build first‑round knockout pairs from the group tables. With two
+ * qualifiers per group, an even number of groups and no best thirds
+ * the classic cross‑over is used: A1 v B2 and B1 v A2, C1 v D2 and
+ * D1 v C2, and so on, with each group's winner and runner‑up placed in
+ * opposite halves of the bracket. Otherwise qualifiers are seeded
+ * position by position (all winners, then runners‑up, then best thirds)
+ * and paired with the usual seeding, swapping opponents where possible
+ * so no first‑round tie is between two teams from the same group.
+ *
+ * @param {Array<{name: string, standings: Array<Object>}>} groupTables
+ * @param {{perGroup: number, bestThirds: number}} playoff
+ * @param {string} tournamentId
+ * @param {Array} results
+ * @returns {Array<[string, string]>}
+ */
+function buildGroupPairs(groupTables, playoff, tournamentId, results) {
+  const { perGroup, bestThirds } = playoff;
+  const placed = (position) => groupTables.map((g) => ({ ...g.standings[position], group: g.name }));
+  if (perGroup === 2 && bestThirds === 0 && groupTables.length % 2 === 0) {
+    const top = [];
+    const bottom = [];
+    for (let i = 0; i < groupTables.length; i += 2) {
+      const [x, y] = [groupTables[i].standings, groupTables[i + 1].standings];
+      top.push([x[0].team, y[1].team]);
+      bottom.push([y[0].team, x[1].team]);
+    }
+    return top.concat(bottom);
+  }
+  let seeds = [];
+  for (let position = 0; position < perGroup; position++) {
+    seeds = seeds.concat(rankAcrossGroups(placed(position), tournamentId, results));
+  }
+  if (bestThirds > 0) {
+    const thirds = groupTables
+      .filter((g) => g.standings.length > perGroup)
+      .map((g) => ({ ...g.standings[perGroup], group: g.name }));
+    seeds = seeds.concat(rankAcrossGroups(thirds, tournamentId, results).slice(0, bestThirds));
+  }
+  const order = bracketSeedOrder(seeds.length);
+  const pairs = [];
+  for (let i = 0; i < order.length; i += 2) {
+    pairs.push([seeds[order[i] - 1], seeds[order[i + 1] - 1]]);
+  }
+  // Avoid same‑group first‑round ties by swapping away sides between pairs
+  pairs.forEach((pair, i) => {
+    if (pair[0].group !== pair[1].group) return;
+    for (let j = 0; j < pairs.length; j++) {
+      const other = pairs[j];
+      if (j === i || other[0].group === pair[1].group || pair[0].group === other[1].group) continue;
+      [pair[1], other[1]] = [other[1], pair[1]];
+      break;
+    }
+  });
+  return pairs.map(([home, away]) => [home.team, away.team]);
+}
+
+/**
+ * Generate the next round of a Swiss tournament. Every fixture of the
+ * current round must have a result and the configured number of rounds
+ * must not have been reached. Teams are ranked on the current standings
+ * (points, then the Buchholz tiebreakers) and paired with
+ * pairSwissRound; the new round is appended to the schedule (and put on
+ * the calendar when the tournament has one) and any bye is recorded
+ * with the scoreboard.
+ *
+ * @param {string} tournamentId
+ * @returns {{error?: string, round?: Array, bye?: string|null, schedule?: Array, conflicts?: Array}}
+ */
+function generateNextSwissRound(tournamentId) {
+  const totalRounds = getSwissRounds(tournamentId);
+  if (!totalRounds) {
+    return { error: 'Only Swiss tournaments are paired round by round.' };
+  }
+  const schedule = loadSchedule(tournamentId);
+  const data = loadScoreboard(tournamentId);
+  if (!schedule || !data) {
+    return { error: 'No tournament data found.' };
+  }
+  if (schedule.length >= totalRounds) {
+    return { error: `All ${totalRounds} Swiss rounds have been paired.` };
+  }
+  const { total, played } = countScheduledMatches(schedule, data.results);
+  if (played < total) {
+    return { error: 'The current round is not yet complete.' };
+  }
+  const ranking = getStandings(tournamentId, data).map((row) => row.team);
+  const byes = data.byes || [];
+  const pairing = pairSwissRound(ranking, schedule.flat(), byes.map((b) => b.team));
+  if (pairing.error) {
+    return { error: pairing.error };
+  }
+  const r = schedule.length;
+  const round = pairing.pairs.map(([home, away], i) => ({ id: `r${r}-m${i}`, home, away }));
+  schedule.push(round);
+  const calendar = getCalendarConfig(tournamentId);
+  const conflicts = calendar ? assignFixtureDates(schedule, calendar, getAvailability(tournamentId)).conflicts : [];
+  if (pairing.bye) {
+    data.byes = byes.concat({ round: r, team: pairing.bye });
+    recalculateScoreboard(tournamentId, data);
+  }
+  saveSchedule(tournamentId, schedule);
+  saveScoreboard(tournamentId, data);
+  notifyTournament(tournamentId, 'schedule', {});
+  return { round, bye: pairing.bye, schedule, conflicts };
+}
+
+/**
+ * Order seeds 1..n (n a power of two) into bracket positions so that
+ * adjacent pairs meet in the first round and the top seeds can only
+ * meet late, e.g. 8 → 1v8, 4v5, 2v7, 3v6.
+ *
+ * @param {number} n
+ * @returns {number[]}
+ */
+function bracketSeedOrder(n) {
+  let order = [1];
+  while (order.length < n) {
+    const size = order.length * 2;
+    order = order.flatMap((seed) => [seed, size + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Name and ID prefix of a knockout round from its number of matches.
+ *
+ * @param {number} matchCount
+ * @returns {{id: string, name: string}}
+ */
+function knockoutRoundLabel(matchCount) {
+  if (matchCount === 1) return { id: 'final', name: 'Final' };
+  if (matchCount === 2) return { id: 'sf', name: 'Semi‑Finals' };
+  if (matchCount === 4) return { id: 'qf', name: 'Quarter‑Finals' };
+  return { id: `r${matchCount * 2}`, name: `Round of ${matchCount * 2}` };
+}
+
+/**
+ * Create an empty knockout match. `homeFrom`/`awayFrom` name the match
+ * (and `winner` or `loser`) whose result fills that side.
+ */
+function createKnockoutMatch(id, home, away, homeFrom = null, awayFrom = null) {
+  return {
+    id,
+    home,
+    away,
+    homeFrom,
+    awayFrom,
+    homeScore: null,
+    awayScore: null,
+    extraTime: null,
+    penalties: null,
+    winner: null,
+  };
+}
+
+/**
+ * Whether a knockout match or tie has any result entered yet.
+ *
+ * @param {Object} match
+ * @returns {boolean}
+ */
+function hasKnockoutResult(match) {
+  return match.homeScore !== null || !!match.firstLeg;
+}
+
+/**
+ * Remove every result field from a knockout match or tie.
+ *
+ * @param {Object} match Mutated in place
+ */
+function clearKnockoutResult(match) {
+  Object.assign(match, { homeScore: null, awayScore: null, extraTime: null, penalties: null, winner: null });
+  if (match.legs === 2) {
+    Object.assign(match, { firstLeg: null, secondLeg: null, aggregate: null });
+  }
+}
+
+/**
+ * Turn every match in the listed rounds into a two‑legged tie. The
+ * first leg is hosted by the tie's `home` team and the second by its
+ * `away` team; each leg's score is stored from the host's point of view.
+ * Byes stay single matches.
+ *
+ * @param {Object} knockout Mutated in place
+ * @param {string[]} roundIds
+ */
+function applyTwoLeggedRounds(knockout, roundIds) {
+  knockout.rounds.forEach((round) => {
+    if (!roundIds.includes(round.id)) return;
+    round.matches.forEach((match) => {
+      if (match.bye) return;
+      Object.assign(match, { legs: 2, firstLeg: null, secondLeg: null, aggregate: null });
+    });
+  });
+}
+
+/**
+ * Build a single‑elimination bracket from its first‑round pairings.
+ * Later rounds pair the winners of adjacent matches until one final
+ * remains; with `thirdPlace` the losing semi‑finalists meet as well.
+ * The bracket is a list of rounds, each with an `id`, display `name`
+ * and its `matches`, played in order.
+ *
+ * @param {Array<[string|null, string|null]>} pairs First‑round home/away pairs in bracket order
+ * @param {{thirdPlace?: boolean}} [options]
+ * @returns {{rounds: Array<{id: string, name: string, matches: Array}>, champion: null}}
+ */
+function buildBracket(pairs, options = {}) {
+  const rounds = [];
+  const firstLabel = knockoutRoundLabel(pairs.length);
+  const first = pairs.map(([home, away], i) => {
+    const id = pairs.length === 1 ? firstLabel.id : `${firstLabel.id}${i + 1}`;
+    return createKnockoutMatch(id, home, away);
+  });
+  rounds.push({ ...firstLabel, matches: first });
+  let previous = first;
+  while (previous.length > 1) {
+    const label = knockoutRoundLabel(previous.length / 2);
+    const matches = [];
+    for (let i = 0; i < previous.length; i += 2) {
+      const id = previous.length === 2 ? label.id : `${label.id}${i / 2 + 1}`;
+      matches.push(createKnockoutMatch(id, null, null,
+        { match: previous[i].id, result: 'winner' },
+        { match: previous[i + 1].id, result: 'winner' }));
+    }
+    if (matches.length === 1 && options.thirdPlace) {
+      rounds.push({
+        id: 'third',
+        name: 'Third Place',
+        matches: [createKnockoutMatch('third', null, null,
+          { match: previous[0].id, result: 'loser' },
+          { match: previous[1].id, result: 'loser' })],
+      });
+    }
+    rounds.push({ ...label, matches });
+    previous = matches;
+  }
+  return { rounds, champion: null };
+}
+
+/**
+ * Shuffle a list into a random order (Fisher–Yates). Returns a copy.
+ *
+ * @param {Array} list
+ * @returns {Array}
+ */
+function shuffle(list) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Build a straight knockout bracket for a cup competition. Teams are
+ * seeded in the order given (seed 1 first) or, with a random draw,
+ * in shuffled order. The bracket is sized to the next power of two and
+ * the missing places become byes for the top seeds: those first‑round
+ * matches are marked `bye` and their team goes straight through.
+ *
+ * @param {string[]} teams
+ * @param {{draw?: string, thirdPlace?: boolean, twoLeggedRounds?: string[]}} [options]
+ * @returns {Object}
+ */
+function generateKnockoutBracket(teams, options = {}) {
+  const seeds = options.draw === 'random' ? shuffle(teams) : teams.slice();
+  let size = 2;
+  while (size < seeds.length) size *= 2;
+  const order = bracketSeedOrder(size);
+  const pairs = [];
+  for (let i = 0; i < order.length; i += 2) {
+    pairs.push([seeds[order[i] - 1] || null, seeds[order[i + 1] - 1] || null]);
+  }
+  const knockout = buildBracket(pairs, { thirdPlace: options.thirdPlace });
+  knockout.rounds[0].matches.forEach((match) => {
+    if (match.home && match.away) return;
+    match.home = match.home || match.away;
+    match.away = null;
+    match.bye = true;
+    match.winner = match.home;
+  });
+  applyTwoLeggedRounds(knockout, options.twoLeggedRounds || []);
+  propagateKnockout(knockout);
+  return knockout;
+}
+
+/**
+ * Convert a bracket stored in the original `semiFinals`/`final` layout
+ * into the rounds layout. Brackets already using rounds are returned
+ * unchanged.
+ *
+ * @param {Object} knockout
+ * @returns {Object}
+ */
+function upgradeKnockout(knockout) {
+  if (!knockout || Array.isArray(knockout.rounds) || !Array.isArray(knockout.semiFinals)) return knockout;
+  const withDefaults = (m) => ({ ...createKnockoutMatch(m.id, m.home, m.away), ...m });
+  const final = withDefaults(knockout.final || createKnockoutMatch('final', null, null));
+  final.homeFrom = { match: knockout.semiFinals[0].id, result: 'winner' };
+  final.awayFrom = { match: knockout.semiFinals[1].id, result: 'winner' };
+  return {
+    rounds: [
+      { id: 'sf', name: 'Semi‑Finals', matches: knockout.semiFinals.map(withDefaults) },
+      { id: 'final', name: 'Final', matches: [final] },
+    ],
+    champion: final.winner || null,
+  };
+}
+
+/**
+ * Find a match anywhere in a knockout bracket by ID.
+ *
+ * @param {Object} knockout
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function findKnockoutMatch(knockout, id) {
+  for (const round of knockout.rounds) {
+    const match = round.matches.find((m) => m.id === id);
+    if (match) return match;
+  }
+  return undefined;
+}
+
+/**
+ * Push results through the bracket. Every side with a `homeFrom` or
+ * `awayFrom` source is filled with that match's winner or loser. When a
+ * corrected result changes who occupies a side, any result already
+ * entered for the later match is cleared so it cannot stand with the
+ * wrong teams. The champion is taken from the final.
+ *
+ * @param {Object} knockout Mutated in place
+ */
+function propagateKnockout(knockout) {
+  const resolve = (source) => {
+    if (!source) return undefined;
+    const from = findKnockoutMatch(knockout, source.match);
+    if (!from || !from.winner) return null;
+    if (source.result === 'winner') return from.winner;
+    return from.winner === from.home ? from.away : from.home;
+  };
+  knockout.rounds.forEach((round) => {
+    round.matches.forEach((match) => {
+      let changed = false;
+      ['home', 'away'].forEach((side) => {
+        const team = resolve(match[`${side}From`]);
+        if (typeof team !== 'undefined' && match[side] !== team) {
+          match[side] = team;
+          changed = true;
+        }
+      });
+      if (changed && hasKnockoutResult(match)) {
+        clearKnockoutResult(match);
+      }
+    });
+  });
+  const finalRound = knockout.rounds[knockout.rounds.length - 1];
+  knockout.champion = finalRound.matches[0].winner || null;
+}
+
+/**
+ * Generate the knockout bracket for a tournament from the final league
+ * table, or from the group tables when the tournament has groups. The
+ * number of qualifiers and whether a third‑place match is played come
+ * from the tournament's playoff settings; qualifiers are seeded so the
+ * top teams can only meet in the later rounds. Requires the group stage
+ * to be complete. Stores the bracket in the scoreboard.
+ *
+ * @param {string} tournamentId
+ * @param {string|null} [actor] Username recorded in the history
+ * @returns {{error?: string, knockout?: any}}
+ */
+function generatePlayoff(tournamentId, actor = null) {
+  const schedule = loadSchedule(tournamentId);
+  const data = loadScoreboard(tournamentId);
+  if (!schedule || !data) {
+    return { error: 'No tournament data found.' };
+  }
+  if (data.knockout) {
+    return { knockout: data.knockout };
+  }
+  // Every scheduled fixture (both legs for home and away leagues) must have a result
+  const { total, played } = countScheduledMatches(schedule, data.results);
+  if (played < total) {
+    return { error: 'Group stage is not yet complete.' };
+  }
+  const swissRounds = getSwissRounds(tournamentId);
+  if (swissRounds && schedule.length < swissRounds) {
+    return { error: 'Swiss rounds are not yet complete.' };
+  }
+  const playoff = getPlayoffConfig(tournamentId);
+  const { qualifiers, thirdPlace } = playoff;
+  const groupTables = getGroupStandings(tournamentId, data);
+  let pairs;
+  if (groupTables) {
+    // Qualifiers come from the group placings
+    pairs = buildGroupPairs(groupTables, playoff, tournamentId, data.results);
+  } else {
+    const teams = Object.keys(data.scoreboard);
+    if (teams.length < qualifiers) {
+      return { error: `At least ${qualifiers} teams are required for the knockout stage.` };
+    }
+    // Seed from the league table using the tournament's tiebreaker chain
+    const standings = getStandings(tournamentId, data);
+    const order = bracketSeedOrder(qualifiers);
+    pairs = [];
+    for (let i = 0; i < order.length; i += 2) {
+      pairs.push([standings[order[i] - 1].team, standings[order[i + 1] - 1].team]);
+    }
+  }
+  const knockout = buildBracket(pairs, { thirdPlace });
+  applyTwoLeggedRounds(knockout, playoff.twoLeggedRounds);
+  data.knockout = knockout;
+  saveScoreboard(tournamentId, data);
+  recordHistory(tournamentId, actor, { kind: 'knockout', action: 'generate', matchId: null, before: null, after: knockout });
+  notifyTournament(tournamentId, 'knockout', {});
+  return { knockout };
+}
+
+/**
+ * Parse an optional `{homeScore, awayScore}` pair from a knockout
+ * payload. Returns `null` when the pair is absent (or both values are
+ * empty), `false` when it is present but invalid.
+ *
+ * @param {Object} [pair]
+ * @returns {{homeScore: number, awayScore: number}|null|false}
+ */
+function parseScorePair(pair) {
+  if (!pair) return null;
+  const empty = (v) => typeof v === 'undefined' || v === null || v === '';
+  if (empty(pair.homeScore) && empty(pair.awayScore)) return null;
+  const h = parseInt(pair.homeScore, 10);
+  const a = parseInt(pair.awayScore, 10);
+  if (isNaN(h) || isNaN(a) || h < 0 || a < 0) return false;
+  return { homeScore: h, awayScore: a };
+}
+
+/**
+ * Work out the outcome of a single knockout game from its regular time
+ * score, an optional score after extra time (cumulative, so it includes
+ * the regular time goals) and an optional penalty shootout. Extra time
+ * is only allowed after a draw, a shootout only after a draw at the end
+ * of play, and a tie that is still level must have a shootout winner.
+ *
+ * @param {{homeScore: number, awayScore: number}} regular
+ * @param {{homeScore: number, awayScore: number}|null} extraTime
+ * @param {{homeScore: number, awayScore: number}|null} penalties
+ * @returns {{error?: string, winner?: 'home'|'away'}}
+ */
+function decideKnockoutResult(regular, extraTime, penalties) {
+  if (extraTime) {
+    if (regular.homeScore !== regular.awayScore) {
+      return { error: 'Extra time can only follow a draw in regular time.' };
+    }
+    if (extraTime.homeScore < regular.homeScore || extraTime.awayScore < regular.awayScore) {
+      return { error: 'The score after extra time cannot be lower than the regular time score.' };
+    }
+  }
+  const final = extraTime || regular;
+  if (final.homeScore !== final.awayScore) {
+    if (penalties) {
+      return { error: 'A penalty shootout can only follow a drawn match.' };
+    }
+    return { winner: final.homeScore > final.awayScore ? 'home' : 'away' };
+  }
+  if (!penalties) {
+    return { error: 'A drawn knockout match needs a penalty shootout result.' };
+  }
+  if (penalties.homeScore === penalties.awayScore) {
+    return { error: 'A penalty shootout cannot end level.' };
+  }
+  return { winner: penalties.homeScore > penalties.awayScore ? 'home' : 'away' };
+}
+
+/**
+ * Work out the winner of a two‑legged tie. Leg scores are given from
+ * the host's point of view: the tie's home team hosts the first leg
+ * and its away team the second. Extra time (the second leg's score
+ * after 120 minutes, cumulative) and penalties are only allowed when
+ * the tie is level after the second leg's regular time, taking the
+ * away goals rule into account when `awayGoals` is on. Under that rule
+ * goals scored by the visitors in extra time count as away goals too.
+ *
+ * @param {{homeScore: number, awayScore: number}} firstLeg
+ * @param {{homeScore: number, awayScore: number}} secondLeg
+ * @param {{homeScore: number, awayScore: number}|null} extraTime
+ * @param {{homeScore: number, awayScore: number}|null} penalties
+ * @param {boolean} awayGoals
+ * @returns {{error?: string, winner?: 'home'|'away', aggregate?: {homeScore: number, awayScore: number}, decidedBy?: string}}
+ */
+function decideTwoLeggedTie(firstLeg, secondLeg, extraTime, penalties, awayGoals) {
+  // Totals from the tie's point of view (home = first leg host)
+  const totals = (second) => ({
+    homeScore: firstLeg.homeScore + second.awayScore,
+    awayScore: firstLeg.awayScore + second.homeScore,
+  });
+  const separate = (second) => {
+    const agg = totals(second);
+    if (agg.homeScore !== agg.awayScore) {
+      return { winner: agg.homeScore > agg.awayScore ? 'home' : 'away', aggregate: agg, decidedBy: 'aggregate' };
+    }
+    if (awayGoals && second.awayScore !== firstLeg.awayScore) {
+      return { winner: second.awayScore > firstLeg.awayScore ? 'home' : 'away', aggregate: agg, decidedBy: 'awayGoals' };
+    }
+    return { aggregate: agg };
+  };
+  const afterRegular = separate(secondLeg);
+  if (afterRegular.winner) {
+    if (extraTime || penalties) {
+      return { error: 'Extra time and penalties are only played when the tie is level.' };
+    }
+    return afterRegular;
+  }
+  if (extraTime) {
+    if (extraTime.homeScore < secondLeg.homeScore || extraTime.awayScore < secondLeg.awayScore) {
+      return { error: 'The score after extra time cannot be lower than the regular time score.' };
+    }
+    const afterExtra = separate(extraTime);
+    if (afterExtra.winner) {
+      if (penalties) {
+        return { error: 'A penalty shootout can only follow a level tie.' };
+      }
+      return { ...afterExtra, decidedBy: afterExtra.decidedBy === 'aggregate' ? 'extraTime' : afterExtra.decidedBy };
+    }
+  }
+  const aggregate = totals(extraTime || secondLeg);
+  if (!penalties) {
+    return { error: 'A level tie needs a penalty shootout result.' };
+  }
+  if (penalties.homeScore === penalties.awayScore) {
+    return { error: 'A penalty shootout cannot end level.' };
+  }
+  // The shootout is taken at the second leg, so its home side is the tie's away team
+  return { winner: penalties.homeScore > penalties.awayScore ? 'away' : 'home', aggregate, decidedBy: 'penalties' };
+}
+
+/**
+ * Record one leg of a two‑legged tie. The first leg is just stored;
+ * the second leg (with optional extra time and penalties) decides the
+ * tie on aggregate.
+ *
+ * @param {Object} match Two‑legged tie; mutated in place
+ * @param {Object} payload {leg, homeScore, awayScore, extraTime?, penalties?}
+ * @param {boolean} awayGoals Whether the away goals rule applies
+ * @returns {{error?: string}}
+ */
+function updateTwoLeggedTie(match, payload, awayGoals) {
+  const leg = parseInt(payload.leg, 10);
+  const score = { homeScore: parseInt(payload.homeScore, 10), awayScore: parseInt(payload.awayScore, 10) };
+  const extraTime = parseScorePair(payload.extraTime);
+  const penalties = parseScorePair(payload.penalties);
+  if ((leg !== 1 && leg !== 2) || isNaN(score.homeScore) || isNaN(score.awayScore) ||
+      score.homeScore < 0 || score.awayScore < 0 || extraTime === false || penalties === false) {
+    return { error: 'Invalid knockout update payload.' };
+  }
+  if (leg === 1) {
+    if (extraTime || penalties) {
+      return { error: 'Extra time and penalties can only follow the second leg.' };
+    }
+    match.firstLeg = score;
+    if (!match.secondLeg) return {};
+    // A corrected first leg re‑decides a tie whose second leg is already in
+    return applySecondLeg(match, match.secondLeg, match.extraTime, match.penalties, awayGoals);
+  }
+  if (!match.firstLeg) {
+    return { error: 'Enter the first leg before the second leg.' };
+  }
+  return applySecondLeg(match, score, extraTime, penalties, awayGoals);
+}
+
+/**
+ * Decide a two‑legged tie from its stored first leg and the given
+ * second leg, storing the result on success.
+ */
+function applySecondLeg(match, secondLeg, extraTime, penalties, awayGoals) {
+  const outcome = decideTwoLeggedTie(match.firstLeg, secondLeg, extraTime, penalties, awayGoals);
+  if (outcome.error) return { error: outcome.error };
+  match.secondLeg = secondLeg;
+  match.extraTime = extraTime;
+  match.penalties = penalties;
+  match.aggregate = { ...outcome.aggregate, decidedBy: outcome.decidedBy };
+  match.winner = outcome.winner === 'home' ? match.home : match.away;
+  return {};
+}
+
+/**
+ * Update a knockout match result for a tournament. The payload carries
+ * the regular time score plus optional `extraTime` and `penalties`
+ * score pairs; a drawn match without a shootout winner is rejected.
+ * Two‑legged ties also need `leg` (1 or 2) and take each leg's score
+ * from the host's point of view; the second leg decides the tie.
+ * Winners (and losers, for the third‑place match) are propagated into
+ * the following rounds and the champion is stored once the final is
+ * decided.
+ *
+ * @param {string} tournamentId
+ * @param {Object} payload {id, leg?, homeScore, awayScore, extraTime?, penalties?}
+ * @param {string|null} [actor] Username recorded in the history
+ * @returns {{error?: string, knockout?: any}}
+ */
+function updateKnockout(tournamentId, payload, actor = null) {
+  const data = loadScoreboard(tournamentId);
+  if (!data || !data.knockout) {
+    return { error: 'No knockout bracket found.' };
+  }
+  const { id, homeScore, awayScore } = payload;
+  const h = parseInt(homeScore, 10);
+  const a = parseInt(awayScore, 10);
+  const extraTime = parseScorePair(payload.extraTime);
+  const penalties = parseScorePair(payload.penalties);
+  if (!id || isNaN(h) || isNaN(a) || h < 0 || a < 0 || extraTime === false || penalties === false) {
+    return { error: 'Invalid knockout update payload.' };
+  }
+  const match = findKnockoutMatch(data.knockout, id);
+  if (!match) {
+    return { error: 'Match not found in knockout bracket.' };
+  }
+  if (!match.home || !match.away) {
+    return { error: 'Both teams must be known before entering a result.' };
+  }
+  // Later rounds may change as results propagate, so the whole bracket is kept
+  const before = JSON.parse(JSON.stringify(data.knockout));
+  if (match.legs === 2) {
+    const legResult = updateTwoLeggedTie(match, payload, getPlayoffConfig(tournamentId).awayGoals);
+    if (legResult.error) {
+      return { error: legResult.error };
+    }
+  } else {
+    const outcome = decideKnockoutResult({ homeScore: h, awayScore: a }, extraTime, penalties);
+    if (outcome.error) {
+      return { error: outcome.error };
+    }
+    match.homeScore = h;
+    match.awayScore = a;
+    match.extraTime = extraTime;
+    match.penalties = penalties;
+    match.winner = outcome.winner === 'home' ? match.home : match.away;
+  }
+  propagateKnockout(data.knockout);
+  // Save updated bracket
+  saveScoreboard(tournamentId, data);
+  recordHistory(tournamentId, actor, { kind: 'knockout', action: 'update', matchId: id, before, after: data.knockout });
+  notifyTournament(tournamentId, 'knockout', { matchId: payload.id });
+  return { knockout: data.knockout };
+}
+
+/**
+ * Load a tournament's audit log of result and bracket changes, oldest
+ * first. See recordHistory for the entry layout.
+ *
+ * @param {string} id
+ * @returns {Array<Object>}
+ */
+function loadHistory(id) {
+  return storage.readDocument(id, 'history') || [];
+}
+
+/**
+ * Append an entry to a tournament's audit log. Entries are never
+ * changed or removed afterwards; undoing a change adds an entry of its
+ * own. Each entry has an `id`, the time `at`, the `actor` (username, or
+ * null for changes made without signing in), the `kind` of value
+ * changed (`result` for a league result, `knockout` for the bracket),
+ * the `action` (update, import, swap, generate or undo), the `matchId`
+ * and the values `before` and `after` the change. A result that did not
+ * exist, or a bracket not yet drawn, is null.
+ *
+ * @param {string} tournamentId
+ * @param {string|null} actor
+ * @param {{kind: string, action: string, matchId: string|null, before: any, after: any, undoOf?: string}} change
+ * @returns {Object} The new entry
+ */
+function recordHistory(tournamentId, actor, change) {
+  const history = loadHistory(tournamentId);
+  const entry = { id: `h${history.length + 1}`, at: new Date().toISOString(), actor: actor || null, ...change };
+  history.push(entry);
+  storage.writeDocument(tournamentId, 'history', history);
+  return entry;
+}
+
+/**
+ * Undo a logged change by restoring its `before` value and
+ * recalculating the table. Only a change that is still in place can be
+ * undone, so later edits to the same result (or any later change to
+ * the bracket) must be undone first. Swapped fixtures are put back by
+ * swapping them again, which also turns the result round.
+ *
+ * @param {string} tournamentId
+ * @param {string} entryId
+ * @param {string|null} [actor]
+ * @returns {{error?: string, notFound?: boolean, entry?: Object, data?: Object}}
+ */
+function undoHistoryEntry(tournamentId, entryId, actor = null) {
+  const entry = loadHistory(tournamentId).find((e) => e.id === entryId);
+  const data = loadScoreboard(tournamentId);
+  if (!entry || !data) {
+    return { error: 'History entry not found.', notFound: true };
+  }
+  if (entry.action === 'swap') {
+    return { error: 'Swap the fixture back to undo a home and away swap.' };
+  }
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  if (entry.kind === 'result') {
+    const results = data.results || [];
+    const current = results.find((r) => r.id === entry.matchId) || null;
+    if (!same(current, entry.after)) {
+      return { error: 'This result has been changed since; undo the later change first.' };
+    }
+    data.results = results.filter((r) => r.id !== entry.matchId);
+    if (entry.before) data.results.push(entry.before);
+    recalculateScoreboard(tournamentId, data);
+  } else {
+    if (!same(data.knockout, entry.after)) {
+      return { error: 'The knockout bracket has been changed since; undo the later changes first.' };
+    }
+    data.knockout = entry.before;
+  }
+  saveScoreboard(tournamentId, data);
+  const undo = recordHistory(tournamentId, actor, {
+    kind: entry.kind, action: 'undo', matchId: entry.matchId, before: entry.after, after: entry.before, undoOf: entry.id,
+  });
+  notifyTournament(tournamentId, entry.kind === 'result' ? 'scoreboard' : 'knockout', { matchId: entry.matchId });
+  return { entry: undo, data };
+}
+
+// Marks JSON documents produced by exportTournament
+const BUNDLE_FORMAT = 'football-tournament-bundle';
+const BUNDLE_VERSION = 1;
+// Tournament metadata fields taken over from a bundle; anything else is dropped
+const BUNDLE_METADATA_FIELDS = [
+  'format', 'legs', 'points', 'tiebreakers', 'playoff', 'groups', 'swiss', 'registration',
+  'discipline', 'calendar', 'availability', 'archived', 'clonedFrom', 'createdAt',
+];
+
+/**
+ * Bundle everything belonging to one tournament into a single JSON
+ * document: its metadata entry, every stored document keyed by file
+ * name as in the JSON storage layout (`schedule.json` and so on), and
+ * team logos embedded as base64 data URLs keyed by team name.
+ *
+ * @param {string} tournamentId
+ * @returns {Object|null} The bundle, or null if the tournament does not exist
+ */
+function exportTournament(tournamentId) {
+  const tournament = findTournament(tournamentId);
+  const names = storage.listDocuments(tournamentId);
+  if (!tournament || !names.length) return null;
+  const files = {};
+  names.forEach((name) => {
+    files[`${name}.json`] = storage.readDocument(tournamentId, name);
+  });
+  const logos = {};
+  const scoreboard = (files['scoreboard.json'] && files['scoreboard.json'].scoreboard) || {};
+  Object.keys(scoreboard).forEach((team) => {
+    const logo = scoreboard[team].logo;
+    if (!logo) return;
+    const filePath = path.join(publicDir, logo);
+    // Only files inside the uploads directory are embedded
+    if (!filePath.startsWith(uploadsDir + path.sep) || !fs.existsSync(filePath)) return;
+    const mime = getContentType(path.extname(filePath).toLowerCase());
+    logos[team] = `data:${mime};base64,${fs.readFileSync(filePath).toString('base64')}`;
+  });
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    tournament,
+    files,
+    logos,
+  };
+}
+
+/**
+ * Recreate a tournament from a bundle made by exportTournament. The
+ * tournament gets a fresh ID unless `preserveId` is set, in which case
+ * the bundled ID is kept and must not be taken. Embedded logos are
+ * written to `public/uploads/<id>/` and the scoreboard's logo paths are
+ * rewritten to point at them. Of the bundled metadata only the fields
+ * in BUNDLE_METADATA_FIELDS are kept.
+ *
+ * @param {Object} bundle
+ * @param {{preserveId?: boolean}} [options]
+ * @returns {{error?: string, tournament?: Object}}
+ */
+function importTournament(bundle, options = {}) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !bundle.tournament || !bundle.files) {
+    return { error: 'Not a tournament export bundle.' };
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return { error: `Unsupported bundle version ${bundle.version}.` };
+  }
+  const { tournament, files } = bundle;
+  if (typeof tournament !== 'object' || typeof tournament.name !== 'string' || !tournament.name.trim()) {
+    return { error: 'The bundled tournament has no name.' };
+  }
+  const scoreboardData = files['scoreboard.json'];
+  if (!Array.isArray(files['schedule.json']) || !scoreboardData || typeof scoreboardData.scoreboard !== 'object' || !scoreboardData.scoreboard) {
+    return { error: 'The bundle is missing the tournament schedule or scoreboard.' };
+  }
+  const fileNames = Object.keys(files);
+  if (fileNames.some((f) => !/^[\w-]+\.json$/.test(f))) {
+    return { error: 'The bundle contains an invalid file name.' };
+  }
+  let id;
+  if (options.preserveId) {
+    id = String(tournament.id || '');
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      return { error: 'The bundled tournament ID is not valid.' };
+    }
+    if (findTournament(id) || storage.listDocuments(id).length) {
+      return { error: `A tournament with ID ${id} already exists.` };
+    }
+  } else {
+    id = generateTournamentId(tournament.name.trim());
+  }
+  // Logos from the old location are replaced by the embedded copies
+  const tournamentUploadDir = path.join(uploadsDir, id);
+  ensureDir(tournamentUploadDir);
+  Object.keys(scoreboardData.scoreboard).forEach((team) => {
+    const decoded = decodeBase64Image(bundle.logos && bundle.logos[team]);
+    if (!decoded) {
+      scoreboardData.scoreboard[team].logo = null;
+      return;
+    }
+    const filename = `${slugify(team)}.${decoded.ext}`;
+    fs.writeFileSync(path.join(tournamentUploadDir, filename), decoded.buffer);
+    scoreboardData.scoreboard[team].logo = `/uploads/${id}/${filename}`;
+  });
+  fileNames.forEach((f) => {
+    storage.writeDocument(id, f.slice(0, -'.json'.length), files[f]);
+  });
+  const entry = { id, name: tournament.name.trim() };
+  BUNDLE_METADATA_FIELDS.forEach((field) => {
+    if (typeof tournament[field] !== 'undefined') entry[field] = tournament[field];
+  });
+  const list = loadTournaments();
+  list.push(entry);
+  saveTournaments(list);
+  return { tournament: entry };
+}
+
+/**
+ * Write the schedule and an empty scoreboard of a new tournament. A
+ * cup has no league fixtures; its scoreboard only keeps the team logos
+ * next to the bracket. A Swiss tournament only pairs round one, in the
+ * listed (seeded) order.
+ *
+ * @param {string} id
+ * @param {string[]} teamNames
+ * @param {Object<string, string>} logoMap Logo URL by team name
+ * @param {{format: string, legs: number, groups: Array|null, playoff: Object, draw: string}} settings
+ */
+function createTournamentData(id, teamNames, logoMap, settings) {
+  const { format, legs, groups, playoff, draw } = settings;
+  let schedule;
+  let knockout = null;
+  let byes = [];
+  if (format === 'knockout') {
+    schedule = [];
+    knockout = generateKnockoutBracket(teamNames, {
+      draw,
+      thirdPlace: playoff.thirdPlace,
+      twoLeggedRounds: playoff.twoLeggedRounds,
+    });
+  } else if (format === 'swiss') {
+    const first = pairSwissRound(teamNames, [], []);
+    schedule = [first.pairs.map(([home, away], i) => ({ id: `r0-m${i}`, home, away }))];
+    if (first.bye) byes = [{ round: 0, team: first.bye }];
+  } else {
+    schedule = groups ? generateGroupSchedule(groups, legs) : generateSchedule(teamNames, legs);
+  }
+  saveSchedule(id, schedule);
+  const scoreboard = createInitialScoreboard(teamNames, logoMap);
+  const scoreboardData = { scoreboard, results: [], knockout };
+  if (format === 'swiss') {
+    scoreboardData.byes = byes;
+    recalculateScoreboard(id, scoreboardData);
+  }
+  saveScoreboard(id, scoreboardData);
+}
+
+/**
+ * Rename a tournament and/or archive it. Archived tournaments keep all
+ * their data but are left out of the default tournament list.
+ *
+ * @param {string} tournamentId
+ * @param {{name?: string, archived?: boolean}} changes
+ * @returns {{error?: string, notFound?: boolean, tournament?: Object}}
+ */
+function updateTournament(tournamentId, changes) {
+  const list = loadTournaments();
+  const tournament = list.find((t) => t.id === tournamentId);
+  if (!tournament) {
+    return { error: 'Tournament not found.', notFound: true };
+  }
+  const hasName = typeof changes.name !== 'undefined';
+  const hasArchived = typeof changes.archived !== 'undefined';
+  if (!hasName && !hasArchived) {
+    return { error: 'Nothing to change; send a name and/or archived.' };
+  }
+  const name = hasName && typeof changes.name === 'string' ? changes.name.trim() : '';
+  if (hasName && !name) {
+    return { error: 'The tournament name cannot be empty.' };
+  }
+  if (hasArchived && typeof changes.archived !== 'boolean') {
+    return { error: 'Archived must be true or false.' };
+  }
+  if (hasName) tournament.name = name;
+  if (hasArchived) tournament.archived = changes.archived;
+  saveTournaments(list);
+  notifyTournament(tournamentId, 'tournament', {});
+  return { tournament };
+}
+
+/**
+ * Delete a tournament for good: its list entry, every stored document
+ * (`data/<id>/` in the JSON layout), its uploaded logos and any
+ * official's assignment to it. Anyone watching it live is told and
+ * disconnected.
+ *
+ * @param {string} tournamentId
+ * @returns {{error?: string, notFound?: boolean}}
+ */
+function deleteTournament(tournamentId) {
+  const list = loadTournaments();
+  if (!list.some((t) => t.id === tournamentId)) {
+    return { error: 'Tournament not found.', notFound: true };
+  }
+  saveTournaments(list.filter((t) => t.id !== tournamentId));
+  storage.deleteDocuments(tournamentId);
+  fs.rmSync(path.join(uploadsDir, tournamentId), { recursive: true, force: true });
+  const users = loadUsers();
+  const assigned = users.filter((u) => (u.tournaments || []).includes(tournamentId));
+  if (assigned.length) {
+    assigned.forEach((u) => {
+      u.tournaments = u.tournaments.filter((id) => id !== tournamentId);
+    });
+    saveUsers(users);
+  }
+  notifyTournament(tournamentId, 'deleted', {});
+  const clients = liveClients.get(tournamentId);
+  if (clients) clients.forEach((res) => res.end());
+  liveClients.delete(tournamentId);
+  return {};
+}
+
+/**
+ * Start a new season of a tournament: a new tournament with the same
+ * settings, teams, logos and squads, a freshly generated schedule and
+ * no results. Calendar dates and team availability belong to the old
+ * season and are not copied.
+ *
+ * @param {string} tournamentId
+ * @param {string} [name] Name of the new tournament, "<old name> (copy)" by default
+ * @returns {{error?: string, notFound?: boolean, tournament?: Object}}
+ */
+function cloneTournament(tournamentId, name) {
+  const source = findTournament(tournamentId);
+  const data = loadScoreboard(tournamentId);
+  if (!source || !data) {
+    return { error: 'Tournament not found.', notFound: true };
+  }
+  if (typeof name !== 'undefined' && (typeof name !== 'string' || !name.trim())) {
+    return { error: 'The tournament name cannot be empty.' };
+  }
+  const newName = name ? name.trim() : `${source.name} (copy)`;
+  const id = generateTournamentId(newName);
+  const teamNames = Object.keys(data.scoreboard);
+  const tournamentUploadDir = path.join(uploadsDir, id);
+  ensureDir(tournamentUploadDir);
+  const logoMap = {};
+  teamNames.forEach((team) => {
+    const logo = data.scoreboard[team].logo;
+    if (!logo) return;
+    const filePath = path.join(publicDir, logo);
+    // Only files inside the uploads directory are copied
+    if (!filePath.startsWith(uploadsDir + path.sep) || !fs.existsSync(filePath)) return;
+    const filename = path.basename(filePath);
+    fs.copyFileSync(filePath, path.join(tournamentUploadDir, filename));
+    logoMap[team] = `/uploads/${id}/${filename}`;
+  });
+  createTournamentData(id, teamNames, logoMap, {
+    format: getFormat(tournamentId),
+    legs: source.legs === 2 ? 2 : 1,
+    groups: getGroups(tournamentId),
+    playoff: getPlayoffConfig(tournamentId),
+    draw: 'seeded',
+  });
+  const squads = loadSquads(tournamentId);
+  if (Object.keys(squads).length) saveSquads(id, squads);
+  const { calendar, availability, archived, ...settings } = source;
+  const entry = { ...settings, id, name: newName, clonedFrom: tournamentId, createdAt: new Date().toISOString() };
+  const list = loadTournaments();
+  list.push(entry);
+  saveTournaments(list);
+  return { tournament: entry };
+}
+
+/**
+ * Reply to a request whose handling threw. A failed write is the
+ * server's fault and gets a 500 so the client knows the change was not
+ * saved; anything else comes from a body that was not valid JSON.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {Error} err
+ */
+function sendRequestError(res, err) {
+  console.error(err);
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  const failed = err && err.code === 'WRITE_FAILED';
+  let message = failed ? 'The change could not be saved. Please try again.' : 'Invalid JSON payload.';
+  if (err && err.code === 'BODY_INCOMPLETE') message = err.message;
+  res.writeHead(failed ? 500 : 400, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: message }));
+}
+
+// How long a client may take to send a request body
+const BODY_TIMEOUT_MS = 30 * 1000;
+// Bodies being read, so handleRequest and the routes share one read
+const requestBodies = new WeakMap();
+
+/**
+ * Read the raw body of a request. The promise rejects with code
+ * `BODY_INCOMPLETE` if the client aborts, the connection closes or the
+ * body takes longer than BODY_TIMEOUT_MS, so a stalled upload never
+ * leaves a caller waiting. Reading twice returns the same promise.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readRequestBody(req) {
+  if (requestBodies.has(req)) return requestBodies.get(req);
+  const promise = new Promise((resolve, reject) => {
+    let body = '';
+    let settled = false;
+    const fail = (message) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      const error = new Error(message);
+      error.code = 'BODY_INCOMPLETE';
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      fail('The request body was not received in time.');
+      req.destroy();
+    }, BODY_TIMEOUT_MS);
+    req.on('data', (chunk) => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(body);
+    });
+    req.on('error', () => fail('The request body could not be read.'));
+    req.on('aborted', () => fail('The request was aborted.'));
+    // After 'end' this is a no‑op; before it, the body will never be complete
+    req.on('close', () => fail('The connection closed before the request body was received.'));
+  });
+  requestBodies.set(req, promise);
+  return promise;
+}
+
+/**
+ * Helper to parse JSON body of a request. Returns a promise.
+ */
+function parseRequestBody(req) {
+  return readRequestBody(req).then((body) => (body ? JSON.parse(body) : {}));
+}
+
+/**
+ * Decode a base64 data URL into a Buffer and determine the file extension.
+ * Expects strings in the format `data:image/png;base64,<base64>`.
+ * Returns `{ buffer, ext }` or null if the input is invalid.
+ */
+function decodeBase64Image(dataString) {
+  if (!dataString) return null;
+  const matches = dataString.match(/^data:(image\/\w+);base64,(.+)$/);
+  if (!matches || matches.length !== 3) {
+    return null;
+  }
+  const mime = matches[1];
+  const ext = mime.split('/')[1];
+  const buffer = Buffer.from(matches[2], 'base64');
+  return { buffer, ext };
+}
+
+// Open Server‑Sent Events streams by tournament ID
+const liveClients = new Map();
+// Sequence number of the last live update sent, used as the SSE event ID
+let liveEventId = 0;
+// Comment lines keep idle streams from being closed by proxies
+const LIVE_KEEPALIVE_MS = 25 * 1000;
+
+/**
+ * Turn a request into a Server‑Sent Events stream of a tournament's
+ * changes. The stream starts with a `ready` event; clients that
+ * reconnect should reload the tournament, since updates sent while they
+ * were away are not replayed.
+ *
+ * @param {string} tournamentId
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+function subscribeLiveUpdates(tournamentId, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(`retry: 3000\nevent: ready\ndata: ${JSON.stringify({ tournamentId })}\n\n`);
+  if (!liveClients.has(tournamentId)) liveClients.set(tournamentId, new Set());
+  liveClients.get(tournamentId).add(res);
+  req.on('close', () => {
+    const clients = liveClients.get(tournamentId);
+    if (!clients) return;
+    clients.delete(res);
+    if (!clients.size) liveClients.delete(tournamentId);
+  });
+}
+
+/**
+ * Push a change to everyone watching a tournament. `type` says what
+ * to reload: `scoreboard` (results and table), `knockout` (the
+ * bracket), `schedule` (fixtures) or `tournament` (name and settings);
+ * `deleted` means the tournament is gone.
+ *
+ * @param {string} tournamentId
+ * @param {string} type
+ * @param {Object} detail Extra fields for the event data, e.g. the match ID
+ */
+function notifyTournament(tournamentId, type, detail) {
+  const clients = liveClients.get(tournamentId);
+  if (!clients) return;
+  liveEventId += 1;
+  const message = `id: ${liveEventId}\nevent: ${type}\ndata: ${JSON.stringify({ ...detail, at: new Date().toISOString() })}\n\n`;
+  clients.forEach((res) => res.write(message));
+}
+
+setInterval(() => {
+  liveClients.forEach((clients) => clients.forEach((res) => res.write(': keep-alive\n\n')));
+}, LIVE_KEEPALIVE_MS).unref();
+
+// Account roles: admins manage everything, officials enter results for
+// the tournaments they are assigned to, viewers only read
+const ROLES = ['admin', 'official', 'viewer'];
+// How long a sign‑in stays valid
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+// Active sessions by token; signing in again after a restart is expected
+const sessions = new Map();
+
+/**
+ * Read the local user accounts. Each entry holds `username`, `role`,
+ * `tournaments` (the IDs an official is assigned to), `salt`, `hash`
+ * and `createdAt`.
+ *
+ * @returns {Array<Object>}
+ */
+function loadUsers() {
+  return storage.readDocument(null, 'users') || [];
+}
+
+/**
+ * Save the local user accounts. Throws if they cannot be written.
+ *
+ * @param {Array<Object>} users
+ */
+function saveUsers(users) {
+  storage.writeDocument(null, 'users', users);
+}
+
+/**
+ * Hash a password with scrypt and a random salt.
+ *
+ * @param {string} password
+ * @param {string} [salt] Hex salt, generated when omitted
+ * @returns {{salt: string, hash: string}}
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, hash: crypto.scryptSync(password, salt, 64).toString('hex') };
+}
+
+/**
+ * Check a password against a stored account in constant time.
+ *
+ * @param {{salt: string, hash: string}} user
+ * @param {string} password
+ * @returns {boolean}
+ */
+function verifyPassword(user, password) {
+  const expected = Buffer.from(user.hash, 'hex');
+  const actual = Buffer.from(hashPassword(String(password), user.salt).hash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * The account details that are safe to send to clients.
+ *
+ * @param {Object} user
+ * @returns {{username: string, role: string, tournaments: string[]}}
+ */
+function publicUser(user) {
+  return { username: user.username, role: user.role, tournaments: user.tournaments || [] };
+}
+
+/**
+ * Validate the fields of a new or changed account. `existing` is the
+ * account being changed, if any; fields it already has may be left out.
+ *
+ * @param {Object} input username, password, role and tournaments
+ * @param {Object} [existing]
+ * @returns {{error?: string, user?: Object}}
+ */
+function normalizeUser(input, existing = null) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Account details must be an object.' };
+  }
+  const user = existing ? { ...existing } : { createdAt: new Date().toISOString() };
+  if (!existing) {
+    const username = typeof input.username === 'string' ? input.username.trim() : '';
+    if (!/^[A-Za-z0-9_.-]{3,32}$/.test(username)) {
+      return { error: 'Usernames are 3 to 32 letters, digits, dots, dashes or underscores.' };
+    }
+    user.username = username;
+  }
+  if (!existing || typeof input.password !== 'undefined') {
+    if (typeof input.password !== 'string' || input.password.length < 8) {
+      return { error: 'Passwords must be at least 8 characters long.' };
+    }
+    Object.assign(user, hashPassword(input.password));
+  }
+  if (!existing || typeof input.role !== 'undefined') {
+    if (!ROLES.includes(input.role)) {
+      return { error: `Role must be one of: ${ROLES.join(', ')}.` };
+    }
+    user.role = input.role;
+  }
+  if (typeof input.tournaments !== 'undefined') {
+    if (!Array.isArray(input.tournaments) || input.tournaments.some((id) => !findTournament(id))) {
+      return { error: 'Tournaments must be a list of existing tournament IDs.' };
+    }
+    user.tournaments = Array.from(new Set(input.tournaments));
+  }
+  // Only officials are assigned to tournaments
+  user.tournaments = user.role === 'official' ? user.tournaments || [] : [];
+  return { user };
+}
+
+/**
+ * Start a session for a user and return its bearer token.
+ *
+ * @param {string} username
+ * @returns {string}
+ */
+function createSession(username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { username, expires: Date.now() + SESSION_TTL_MS });
+  return token;
+}
+
+/**
+ * Read the bearer token from a request's Authorization header.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the signed‑in user of a request, or null. Expired sessions and
+ * sessions of deleted accounts are dropped.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Object|null}
+ */
+function authenticate(req) {
+  const token = getRequestToken(req);
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  const user = session.expires > Date.now() && loadUsers().find((u) => u.username === session.username);
+  if (!user) {
+    sessions.delete(token);
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Username of the signed‑in user of a request, for the audit log.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+function getActorName(req) {
+  const user = authenticate(req);
+  return user ? user.username : null;
+}
+
+/**
+ * Work out the permission a tournament route needs. Reads are public;
+ * entering results needs `results`, everything else `admin`.
+ *
+ * @param {string} method
+ * @param {string[]} parts Path components, starting with `tournaments`
+ * @returns {string|null} null when no sign‑in is needed
+ */
+function getRequiredPermission(method, parts) {
+  if (method === 'GET' || method === 'HEAD') return null;
+  const isResultEntry = (parts.length === 3 && (parts[2] === 'update-score' || parts[2] === 'update-knockout')) ||
+    (parts.length === 4 && parts[2] === 'results' && parts[3] === 'import') ||
+    (parts.length === 4 && parts[2] === 'undo');
+  return isResultEntry ? 'results' : 'admin';
+}
+
+/**
+ * Whether a user holds a permission for a tournament. Admins can do
+ * everything; officials can only enter results for the tournaments
+ * they are assigned to.
+ *
+ * @param {Object} user
+ * @param {string} permission `results` or `admin`
+ * @param {string} [tournamentId]
+ * @returns {boolean}
+ */
+function hasPermission(user, permission, tournamentId) {
+  if (user.role === 'admin') return true;
+  return permission === 'results' && user.role === 'official' && (user.tournaments || []).includes(tournamentId);
+}
+
+/**
+ * HTTP request handler. Routes incoming requests to the appropriate
+ * operation based on the path and HTTP method. Supports tournament
+ * management, match results, knockouts and static file serving.
+ *
+ * @param {import('http').IncomingMessage} req
  * @param {import('http').ServerResponse} res
  */
 async function requestHandler(req, res) {
@@ -465,9 +3756,149 @@ async function requestHandler(req, res) {
   const method = req.method;
   const parts = pathname.split('/').filter((p) => p); // split path into components
 
-  // Route: GET /tournaments -> list tournaments
+  // Route: GET /auth/me -> the signed‑in user, and whether an admin must be set up first
+  if (parts.length === 2 && parts[0] === 'auth' && parts[1] === 'me' && method === 'GET') {
+    const user = authenticate(req);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ user: user ? publicUser(user) : null, setupRequired: loadUsers().length === 0 }));
+    return;
+  }
+  // Route: POST /auth/setup, /auth/login and /auth/logout
+  if (parts.length === 2 && parts[0] === 'auth' && ['setup', 'login', 'logout'].includes(parts[1]) && method === 'POST') {
+    if (parts[1] === 'logout') {
+      sessions.delete(getRequestToken(req));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+      return;
+    }
+    try {
+      const payload = await parseRequestBody(req);
+      const users = loadUsers();
+      let user;
+      if (parts[1] === 'setup') {
+        // The very first account is the admin; afterwards admins create accounts
+        if (users.length) {
+          res.writeHead(403, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'An admin account already exists.' }));
+          return;
+        }
+        const result = normalizeUser({ ...payload, role: 'admin' });
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+          return;
+        }
+        user = result.user;
+        saveUsers([user]);
+      } else {
+        user = users.find((u) => u.username === payload.username);
+        if (!user || !verifyPassword(user, payload.password)) {
+          res.writeHead(401, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Wrong username or password.' }));
+          return;
+        }
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ token: createSession(user.username), user: publicUser(user) }));
+    } catch (err) {
+      sendRequestError(res, err);
+    }
+    return;
+  }
+  // Routes under /users manage accounts and are for admins only
+  if (parts[0] === 'users' && parts.length <= 2) {
+    const user = authenticate(req);
+    if (!user || user.role !== 'admin') {
+      res.writeHead(user ? 403 : 401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: user ? 'Only admins can manage accounts.' : 'Please sign in.' }));
+      return;
+    }
+    const users = loadUsers();
+    // GET /users -> every account
+    if (parts.length === 1 && method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ users: users.map(publicUser) }));
+      return;
+    }
+    const username = parts.length === 2 ? decodeURIComponent(parts[1]) : null;
+    const index = users.findIndex((u) => u.username === username);
+    if (username && index === -1) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'User not found.' }));
+      return;
+    }
+    const admins = users.filter((u) => u.role === 'admin').length;
+    // DELETE /users/:username
+    if (username && method === 'DELETE') {
+      if (users[index].role === 'admin' && admins === 1) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'The last admin account cannot be removed.' }));
+        return;
+      }
+      users.splice(index, 1);
+      saveUsers(users);
+      // Sessions of the removed account end with it
+      sessions.forEach((session, token) => {
+        if (session.username === username) sessions.delete(token);
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+      return;
+    }
+    // POST /users -> new account; PUT /users/:username -> change password, role or assignments
+    if ((!username && method === 'POST') || (username && method === 'PUT')) {
+      try {
+        const payload = await parseRequestBody(req);
+        const result = normalizeUser(payload, username ? users[index] : null);
+        if (!result.error && !username && users.some((u) => u.username === result.user.username)) {
+          result.error = `The username ${result.user.username} is taken.`;
+        }
+        if (!result.error && username && users[index].role === 'admin' && result.user.role !== 'admin' && admins === 1) {
+          result.error = 'The last admin account must stay an admin.';
+        }
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+          return;
+        }
+        if (username) {
+          users[index] = result.user;
+        } else {
+          users.push(result.user);
+        }
+        saveUsers(users);
+        res.writeHead(username ? 200 : 201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ user: publicUser(result.user) }));
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+  }
+  // Changes to tournaments need a signed‑in user with the right role
+  if (parts[0] === 'tournaments') {
+    const permission = getRequiredPermission(method, parts);
+    if (permission) {
+      const user = authenticate(req);
+      if (!user) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Please sign in.' }));
+        return;
+      }
+      if (!hasPermission(user, permission, parts[1])) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: permission === 'results'
+          ? 'You are not assigned to enter results for this tournament.'
+          : 'Only admins can make this change.' }));
+        return;
+      }
+    }
+  }
+
+  // Route: GET /tournaments[?includeArchived=true] -> list tournaments, archived ones on request
   if (parts.length === 1 && parts[0] === 'tournaments' && method === 'GET') {
-    const list = loadTournaments();
+    const includeArchived = parsedUrl.searchParams.get('includeArchived') === 'true';
+    const list = loadTournaments().filter((t) => includeArchived || !t.archived);
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ tournaments: list }));
     return;
@@ -479,7 +3910,90 @@ async function requestHandler(req, res) {
       const { name, teams } = payload;
       if (!name || !Array.isArray(teams) || teams.length < 2) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Tournament name and at least two teams are required.' }));
+        res.end(JSON.stringify({ error: 'Tournament name and at least two teams are required.' }));
+        return;
+      }
+      const format = typeof payload.format === 'undefined' ? 'league' : payload.format;
+      if (!FORMATS.includes(format)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Format must be one of: ${FORMATS.join(', ')}.` }));
+        return;
+      }
+      const draw = typeof payload.draw === 'undefined' ? 'seeded' : payload.draw;
+      if (draw !== 'seeded' && draw !== 'random') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Draw must be seeded or random.' }));
+        return;
+      }
+      if (format !== 'league' && payload.groups) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Only league tournaments can have groups.' }));
+        return;
+      }
+      const legs = typeof payload.legs === 'undefined' ? 1 : parseInt(payload.legs, 10);
+      if (legs !== 1 && legs !== 2) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Legs must be 1 or 2.' }));
+        return;
+      }
+      if (format === 'swiss' && legs !== 1) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Swiss tournaments are played in single legs.' }));
+        return;
+      }
+      const pointsResult = normalizePointsConfig(payload.points);
+      if (pointsResult.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: pointsResult.error }));
+        return;
+      }
+      const tiebreakerResult = normalizeTiebreakers(payload.tiebreakers, format);
+      if (tiebreakerResult.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: tiebreakerResult.error }));
+        return;
+      }
+      const submittedNames = teams.map((t) => String(t && t.name).trim()).filter((t) => t);
+      const groupsResult = normalizeGroups(payload.groups, submittedNames);
+      if (groupsResult.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: groupsResult.error }));
+        return;
+      }
+      let swiss = null;
+      if (format === 'swiss') {
+        const rounds = parseInt(payload.swissRounds, 10);
+        const maxRounds = maxSwissRounds(submittedNames.length);
+        if (isNaN(rounds) || rounds < 1 || rounds > maxRounds) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: `Swiss rounds must be between 1 and ${maxRounds} for ${submittedNames.length} teams, so that every round can be paired without a rematch.` }));
+          return;
+        }
+        swiss = { rounds };
+      }
+      // A cup uses every team, so the qualifier settings do not apply
+      const playoffInput = format === 'knockout' && payload.playoff
+        ? { thirdPlace: payload.playoff.thirdPlace, twoLeggedRounds: payload.playoff.twoLeggedRounds, awayGoals: payload.playoff.awayGoals }
+        : payload.playoff;
+      const playoffResult = normalizePlayoffConfig(playoffInput, groupsResult.groups);
+      if (!playoffResult.error && format === 'knockout' && playoffResult.playoff.thirdPlace && submittedNames.length < 4) {
+        playoffResult.error = 'A third‑place match needs at least four teams.';
+      }
+      if (playoffResult.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: playoffResult.error }));
+        return;
+      }
+      const registrationResult = normalizeRegistrationConfig(payload.registration);
+      if (registrationResult.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: registrationResult.error }));
+        return;
+      }
+      const disciplineResult = normalizeDisciplineConfig(payload.discipline);
+      if (disciplineResult.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: disciplineResult.error }));
         return;
       }
       // Generate unique ID
@@ -510,28 +4024,132 @@ async function requestHandler(req, res) {
         res.end(JSON.stringify({ error: 'At least two valid team names are required.' }));
         return;
       }
-      // Create tournament files
-      const schedule = generateSchedule(teamNames);
-      saveSchedule(id, schedule);
-      const scoreboard = createInitialScoreboard(teamNames, logoMap);
-      const scoreboardData = { scoreboard, results: [], knockout: null };
-      saveScoreboard(id, scoreboardData);
+      const { groups } = groupsResult;
+      const { playoff } = playoffResult;
+      createTournamentData(id, teamNames, logoMap, { format, legs, groups, playoff, draw });
       // Save tournament metadata
       const list = loadTournaments();
-      list.push({ id, name, createdAt: new Date().toISOString() });
+      const { points } = pointsResult;
+      const { tiebreakers } = tiebreakerResult;
+      const { registration } = registrationResult;
+      const { discipline } = disciplineResult;
+      list.push({ id, name, format, legs, points, tiebreakers, playoff, groups, swiss, registration, discipline, createdAt: new Date().toISOString() });
       saveTournaments(list);
       res.writeHead(201, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ id, name }));
+      res.end(JSON.stringify({ id, name, format, legs, points, tiebreakers, playoff, groups, swiss, registration, discipline }));
+    } catch (err) {
+      sendRequestError(res, err);
+    }
+    return;
+  }
+  // Route: POST /tournaments/import -> recreate a tournament from an export bundle
+  if (parts.length === 2 && parts[0] === 'tournaments' && parts[1] === 'import' && method === 'POST') {
+    try {
+      const payload = await parseRequestBody(req);
+      const result = importTournament(payload.bundle, { preserveId: !!payload.preserveId });
+      if (result.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+      } else {
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: result.tournament.id, name: result.tournament.name }));
+      }
     } catch (err) {
-      console.error(err);
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid JSON payload.' }));
+      sendRequestError(res, err);
     }
     return;
   }
   // Routes under /tournaments/:id
   if (parts.length >= 2 && parts[0] === 'tournaments') {
     const tid = parts[1];
+    // GET /tournaments/:id -> tournament metadata
+    if (parts.length === 2 && method === 'GET') {
+      const tournament = findTournament(tid);
+      if (!tournament) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Tournament not found.' }));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          tournament: {
+            ...tournament,
+            format: getFormat(tid),
+            points: getPointsSystem(tid),
+            tiebreakers: getTiebreakers(tid),
+            playoff: getPlayoffConfig(tid),
+            groups: getGroups(tid),
+            swiss: getSwissRounds(tid) ? { rounds: getSwissRounds(tid) } : null,
+            calendar: getCalendarConfig(tid),
+            registration: getRegistrationStatus(tid),
+            discipline: getDisciplineConfig(tid),
+          },
+        }));
+      }
+      return;
+    }
+    // PATCH /tournaments/:id -> {name?, archived?}
+    if (parts.length === 2 && method === 'PATCH') {
+      try {
+        const payload = await parseRequestBody(req);
+        const result = updateTournament(tid, payload);
+        if (result.error) {
+          res.writeHead(result.notFound ? 404 : 400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ tournament: result.tournament }));
+        }
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // DELETE /tournaments/:id?confirm=<name> -> remove the tournament and all its data
+    if (parts.length === 2 && method === 'DELETE') {
+      const tournament = findTournament(tid);
+      if (!tournament) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Tournament not found.' }));
+        return;
+      }
+      // Repeating the name guards against deleting the wrong tournament by accident
+      if (parsedUrl.searchParams.get('confirm') !== tournament.name) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Confirm the deletion by passing the tournament name as ?confirm=.' }));
+        return;
+      }
+      deleteTournament(tid);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+      return;
+    }
+    // POST /tournaments/:id/clone -> {name?} new season with the same teams
+    if (parts.length === 3 && parts[2] === 'clone' && method === 'POST') {
+      try {
+        const payload = await parseRequestBody(req);
+        const result = cloneTournament(tid, payload.name);
+        if (result.error) {
+          res.writeHead(result.notFound ? 404 : 400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+        } else {
+          res.writeHead(201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ id: result.tournament.id, name: result.tournament.name }));
+        }
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // GET /tournaments/:id/events -> Server‑Sent Events stream of live changes
+    if (parts.length === 3 && parts[2] === 'events' && method === 'GET') {
+      if (!findTournament(tid)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Tournament not found.' }));
+        return;
+      }
+      subscribeLiveUpdates(tid, req, res);
+      return;
+    }
     // GET /tournaments/:id/schedule
     if (parts.length === 3 && parts[2] === 'schedule' && method === 'GET') {
       const schedule = loadSchedule(tid);
@@ -544,6 +4162,286 @@ async function requestHandler(req, res) {
       }
       return;
     }
+    // GET /tournaments/:id/schedule/stats
+    if (parts.length === 4 && parts[2] === 'schedule' && parts[3] === 'stats' && method === 'GET') {
+      const schedule = loadSchedule(tid);
+      if (!schedule) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Schedule not found.' }));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(computeScheduleStats(schedule)));
+      }
+      return;
+    }
+    // POST /tournaments/:id/calendar -> (re)assign dates, times and pitches
+    if (parts.length === 3 && parts[2] === 'calendar' && method === 'POST') {
+      try {
+        const payload = await parseRequestBody(req);
+        const list = loadTournaments();
+        const tournament = list.find((t) => t.id === tid);
+        const schedule = loadSchedule(tid);
+        if (!tournament || !schedule) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Tournament not found.' }));
+          return;
+        }
+        if (getFormat(tid) === 'knockout') {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Knockout cups have no league fixtures to schedule.' }));
+          return;
+        }
+        const config = normalizeCalendarConfig(payload);
+        if (config.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: config.error }));
+          return;
+        }
+        // Plan the calendar again with the new settings; played fixtures keep their dates
+        const data = loadScoreboard(tid);
+        const playedIds = new Set(((data && data.results) || []).map((r) => r.id));
+        schedule.flat().forEach((match) => {
+          if (playedIds.has(match.id)) return;
+          delete match.date;
+          delete match.time;
+          delete match.pitch;
+        });
+        const { conflicts } = assignFixtureDates(schedule, config.calendar, tournament.availability || {});
+        tournament.calendar = config.calendar;
+        saveTournaments(list);
+        saveSchedule(tid, schedule);
+        notifyTournament(tid, 'schedule', {});
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ calendar: config.calendar, schedule, conflicts }));
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // GET /tournaments/:id/export -> self‑contained JSON bundle with embedded logos
+    if (parts.length === 3 && parts[2] === 'export' && method === 'GET') {
+      const bundle = exportTournament(tid);
+      if (!bundle) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Tournament not found.' }));
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="${tid}.json"`,
+      });
+      res.end(JSON.stringify(bundle, null, 2));
+      return;
+    }
+    // GET /tournaments/:id/fixtures.csv, results.csv and standings.csv
+    if (parts.length === 3 && ['fixtures.csv', 'results.csv', 'standings.csv'].includes(parts[2]) && method === 'GET') {
+      if (parts[2] === 'standings.csv' && getFormat(tid) === 'knockout') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Knockout tournaments have no league table.' }));
+        return;
+      }
+      const exporters = { 'fixtures.csv': fixturesToCsv, 'results.csv': resultsToCsv, 'standings.csv': standingsToCsv };
+      const csv = exporters[parts[2]](tid);
+      if (csv === null) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Tournament not found.' }));
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${tid}-${parts[2]}"`,
+      });
+      res.end(csv);
+      return;
+    }
+    // POST /tournaments/:id/results/import -> {csv} with one result per row
+    if (parts.length === 4 && parts[2] === 'results' && parts[3] === 'import' && method === 'POST') {
+      try {
+        const payload = await parseRequestBody(req);
+        const result = importResultsCsv(tid, payload.csv, getActorName(req));
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            imported: result.imported,
+            errors: result.errors,
+            scoreboard: result.data.scoreboard,
+            results: result.data.results,
+          }));
+        }
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // GET /tournaments/:id/calendar.ics[?team=] -> iCalendar feed of dated fixtures
+    if (parts.length === 3 && parts[2] === 'calendar.ics' && method === 'GET') {
+      const team = parsedUrl.searchParams.get('team');
+      const data = loadScoreboard(tid);
+      if (team && (!data || !data.scoreboard[team])) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Team not found.' }));
+        return;
+      }
+      const ics = buildIcsCalendar(tid, { team });
+      if (!ics) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Schedule not found.' }));
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${slugify(team ? `${tid}-${team}` : tid)}.ics"`,
+      });
+      res.end(ics);
+      return;
+    }
+    // GET /tournaments/:id/calendar/conflicts -> fixtures the calendar cannot honour
+    if (parts.length === 4 && parts[2] === 'calendar' && parts[3] === 'conflicts' && method === 'GET') {
+      const calendar = getCalendarConfig(tid);
+      const schedule = loadSchedule(tid);
+      if (!calendar || !schedule) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'No calendar found.' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conflicts: findCalendarConflicts(schedule, calendar, getAvailability(tid)) }));
+      return;
+    }
+    // GET/PUT /tournaments/:id/teams/:team/availability
+    if (parts.length === 5 && parts[2] === 'teams' && parts[4] === 'availability' && (method === 'GET' || method === 'PUT')) {
+      const team = decodeURIComponent(parts[3]);
+      const data = loadScoreboard(tid);
+      if (!data || !data.scoreboard[team]) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Team not found.' }));
+        return;
+      }
+      if (method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ team, unavailable: getAvailability(tid)[team] || [] }));
+        return;
+      }
+      try {
+        const payload = await parseRequestBody(req);
+        const result = normalizeUnavailability(payload.unavailable);
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+          return;
+        }
+        const list = loadTournaments();
+        const tournament = list.find((t) => t.id === tid);
+        tournament.availability = { ...(tournament.availability || {}), [team]: result.unavailable };
+        if (!result.unavailable.length) delete tournament.availability[team];
+        saveTournaments(list);
+        // Existing dates are kept; report the fixtures that now clash so they can be moved
+        const schedule = loadSchedule(tid) || [];
+        const conflicts = tournament.calendar
+          ? findCalendarConflicts(schedule, tournament.calendar, tournament.availability)
+            .filter((c) => c.home === team || c.away === team)
+          : [];
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ team, unavailable: result.unavailable, conflicts }));
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // PUT /tournaments/:id/registration -> {lockAfterRound}
+    if (parts.length === 3 && parts[2] === 'registration' && method === 'PUT') {
+      try {
+        const payload = await parseRequestBody(req);
+        const list = loadTournaments();
+        const tournament = list.find((t) => t.id === tid);
+        if (!tournament) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Tournament not found.' }));
+          return;
+        }
+        const result = normalizeRegistrationConfig(payload);
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+          return;
+        }
+        tournament.registration = result.registration;
+        saveTournaments(list);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ registration: getRegistrationStatus(tid) }));
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // GET/POST/PUT /tournaments/:id/teams/:team/players and PUT/DELETE .../players/:playerId
+    if (parts[2] === 'teams' && parts[4] === 'players' &&
+      ((parts.length === 5 && ['GET', 'POST', 'PUT'].includes(method)) || (parts.length === 6 && ['PUT', 'DELETE'].includes(method)))) {
+      const team = decodeURIComponent(parts[3]);
+      const playerId = parts.length === 6 ? decodeURIComponent(parts[5]) : null;
+      if (method === 'GET') {
+        const data = loadScoreboard(tid);
+        if (!data || !data.scoreboard[team]) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Team not found.' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ team, players: loadSquads(tid)[team] || [], registration: getRegistrationStatus(tid) }));
+        return;
+      }
+      try {
+        const payload = method === 'DELETE' ? {} : await parseRequestBody(req);
+        let result;
+        if (method === 'DELETE') {
+          result = removePlayer(tid, team, playerId);
+        } else if (playerId) {
+          result = updatePlayer(tid, team, playerId, payload);
+        } else if (method === 'POST') {
+          result = addPlayer(tid, team, payload);
+        } else {
+          result = replaceSquad(tid, team, payload.players);
+        }
+        if (result.error) {
+          res.writeHead(result.notFound ? 404 : 400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+        } else {
+          res.writeHead(method === 'POST' ? 201 : 200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ team, player: result.player, players: result.players }));
+        }
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // POST /tournaments/:id/fixtures/:fixtureId/move|postpone|swap
+    if (parts.length === 5 && parts[2] === 'fixtures' && ['move', 'postpone', 'swap'].includes(parts[4]) && method === 'POST') {
+      try {
+        const payload = await parseRequestBody(req);
+        const fixtureId = decodeURIComponent(parts[3]);
+        let result;
+        if (parts[4] === 'move') {
+          result = moveFixture(tid, fixtureId, payload);
+        } else if (parts[4] === 'postpone') {
+          result = postponeFixture(tid, fixtureId, payload.reason);
+        } else {
+          result = swapFixture(tid, fixtureId, getActorName(req));
+        }
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ fixture: result.fixture, schedule: result.schedule }));
+        }
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
     // GET /tournaments/:id/scoreboard
     if (parts.length === 3 && parts[2] === 'scoreboard' && method === 'GET') {
       const data = loadScoreboard(tid);
@@ -556,27 +4454,173 @@ async function requestHandler(req, res) {
       }
       return;
     }
+    // GET /tournaments/:id/standings (one table per group for group tournaments)
+    if (parts.length === 3 && parts[2] === 'standings' && method === 'GET') {
+      const data = loadScoreboard(tid);
+      if (!data) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Scoreboard not found.' }));
+        return;
+      }
+      if (getFormat(tid) === 'knockout') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Knockout tournaments have no league table.' }));
+        return;
+      }
+      const groups = getGroupStandings(tid, data);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (groups) {
+        res.end(JSON.stringify({ groups, tiebreakers: getTiebreakers(tid) }));
+      } else {
+        res.end(JSON.stringify({ standings: getStandings(tid, data), tiebreakers: getTiebreakers(tid) }));
+      }
+      return;
+    }
+    // GET /tournaments/:id/leaderboards -> top scorers, assists and cards
+    if (parts.length === 3 && parts[2] === 'leaderboards' && method === 'GET') {
+      const data = loadScoreboard(tid);
+      if (!data) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Scoreboard not found.' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(computeLeaderboards(data.results)));
+      return;
+    }
+    // GET /tournaments/:id/discipline -> cards, suspensions and violations per player
+    if (parts.length === 3 && parts[2] === 'discipline' && method === 'GET') {
+      const discipline = getDiscipline(tid);
+      if (!discipline) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Scoreboard not found.' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(discipline));
+      return;
+    }
+    // PUT /tournaments/:id/discipline -> change the suspension thresholds
+    if (parts.length === 3 && parts[2] === 'discipline' && method === 'PUT') {
+      try {
+        const payload = await parseRequestBody(req);
+        const list = loadTournaments();
+        const tournament = list.find((t) => t.id === tid);
+        if (!tournament) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Tournament not found.' }));
+          return;
+        }
+        // Settings left out of the payload keep their current values
+        const result = normalizeDisciplineConfig({ ...getDisciplineConfig(tid), ...payload });
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: result.error }));
+          return;
+        }
+        tournament.discipline = result.discipline;
+        saveTournaments(list);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getDiscipline(tid) || { config: result.discipline, players: [], violations: [] }));
+      } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // GET /tournaments/:id/history -> audit log of result and bracket changes, newest first
+    if (parts.length === 3 && parts[2] === 'history' && method === 'GET') {
+      if (!findTournament(tid)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Tournament not found.' }));
+        return;
+      }
+      const history = loadHistory(tid);
+      const undoneBy = {};
+      history.forEach((e) => {
+        if (e.undoOf) undoneBy[e.undoOf] = e.id;
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ history: history.map((e) => ({ ...e, undoneBy: undoneBy[e.id] || null })).reverse() }));
+      return;
+    }
+    // POST /tournaments/:id/undo/:entryId -> restore the value before a logged change
+    if (parts.length === 4 && parts[2] === 'undo' && method === 'POST') {
+      const entryId = decodeURIComponent(parts[3]);
+      const entry = loadHistory(tid).find((e) => e.id === entryId);
+      // Drawing the bracket is an admin's job, and so is taking it back
+      if (entry && entry.action === 'generate' && !hasPermission(authenticate(req), 'admin', tid)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Only admins can make this change.' }));
+        return;
+      }
+      const result = undoHistoryEntry(tid, entryId, getActorName(req));
+      if (result.error) {
+        res.writeHead(result.notFound ? 404 : 400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ entry: result.entry, scoreboard: result.data.scoreboard, results: result.data.results, knockout: result.data.knockout }));
+      }
+      return;
+    }
+    // GET /tournaments/:id/groups/:group/schedule and /groups/:group/standings
+    if (parts.length === 5 && parts[2] === 'groups' && method === 'GET') {
+      const groupName = decodeURIComponent(parts[3]);
+      const groups = getGroups(tid);
+      if (!groups || !groups.some((g) => g.name === groupName)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Group not found.' }));
+        return;
+      }
+      if (parts[4] === 'schedule') {
+        const schedule = loadSchedule(tid) || [];
+        const groupSchedule = schedule
+          .map((round) => round.filter((m) => m.group === groupName))
+          .filter((round) => round.length);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ group: groupName, schedule: groupSchedule }));
+        return;
+      }
+      if (parts[4] === 'standings') {
+        const tables = getGroupStandings(tid) || [];
+        const table = tables.find((g) => g.name === groupName);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ group: groupName, standings: table ? table.standings : [], tiebreakers: getTiebreakers(tid) }));
+        return;
+      }
+    }
     // POST /tournaments/:id/update-score
     if (parts.length === 3 && parts[2] === 'update-score' && method === 'POST') {
       try {
         const payload = await parseRequestBody(req);
-        const result = updateMatchResult(tid, payload);
+        const result = updateMatchResult(tid, payload, getActorName(req));
         if (result.error) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: result.error }));
         } else {
           res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, scoreboard: result.data.scoreboard, results: result.data.results }));
+          res.end(JSON.stringify({ success: true, scoreboard: result.data.scoreboard, results: result.data.results, warnings: result.warnings }));
         }
       } catch (err) {
+        sendRequestError(res, err);
+      }
+      return;
+    }
+    // POST /tournaments/:id/next-round (Swiss tournaments)
+    if (parts.length === 3 && parts[2] === 'next-round' && method === 'POST') {
+      const result = generateNextSwissRound(tid);
+      if (result.error) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON payload.' }));
+        res.end(JSON.stringify({ error: result.error }));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ round: result.round, bye: result.bye, schedule: result.schedule, conflicts: result.conflicts }));
       }
       return;
     }
     // POST /tournaments/:id/generate-playoff
     if (parts.length === 3 && parts[2] === 'generate-playoff' && method === 'POST') {
-      const result = generatePlayoff(tid);
+      const result = generatePlayoff(tid, getActorName(req));
       if (result.error) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: result.error }));
@@ -602,7 +4646,7 @@ async function requestHandler(req, res) {
     if (parts.length === 3 && parts[2] === 'update-knockout' && method === 'POST') {
       try {
         const payload = await parseRequestBody(req);
-        const result = updateKnockout(tid, payload);
+        const result = updateKnockout(tid, payload, getActorName(req));
         if (result.error) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: result.error }));
@@ -611,8 +4655,7 @@ async function requestHandler(req, res) {
           res.end(JSON.stringify({ knockout: result.knockout }));
         }
       } catch (err) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON payload.' }));
+        sendRequestError(res, err);
       }
       return;
     }
@@ -666,9 +4709,42 @@ function getContentType(ext) {
   }
 }
 
+/**
+ * Entry point for every request. Changes to a tournament (anything but
+ * GET under /tournaments/:id) are queued per tournament so they are
+ * applied one after another. Their body is read before they join the
+ * queue, so a slow or aborted upload cannot hold up other changes.
+ * Errors the routes do not handle themselves, such as a failed write,
+ * are answered with a 500.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+function handleRequest(req, res) {
+  const parts = new URL(req.url, `http://${req.headers.host}`).pathname.split('/').filter((p) => p);
+  const handle = () => requestHandler(req, res);
+  const fail = (err) => {
+    console.error(err);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err && err.code === 'WRITE_FAILED' ? 'The change could not be saved. Please try again.' : 'Internal server error.' }));
+  };
+  const isChange = req.method !== 'GET' && parts.length >= 2 && parts[0] === 'tournaments' && parts[1] !== 'import';
+  if (isChange) {
+    readRequestBody(req)
+      .then(() => runExclusive(parts[1], handle), (err) => sendRequestError(res, err))
+      .catch(fail);
+  } else {
+    handle().catch(fail);
+  }
+}
+
 // Start the server
 const port = process.env.PORT || 3000;
-const server = http.createServer(requestHandler);
+const server = http.createServer(handleRequest);
 server.listen(port, () => {
   console.log(`Server is running on http://localhost:${port}`);
 });
\ No newline at end of file
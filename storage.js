@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage backends for tournament data. Everything the server keeps is
+ * a JSON document identified by a scope and a name: the tournament list
+ * (`tournaments`) and user accounts (`users`) live in the global scope
+ * (null), and each tournament's `schedule`, `scoreboard`, `squads` and
+ * `history` live in the scope of its ID. Every backend provides:
+ *
+ * - `readDocument(scope, name)` returns the stored value, or null
+ * - `writeDocument(scope, name, value)` replaces it in one step and
+ *   throws an error with code `WRITE_FAILED` if that is not possible
+ * - `listDocuments(scope)` returns the names stored in a scope
+ * - `deleteDocuments(scope)` removes every document of a tournament
+ * - `close()` releases any open handles
+ *
+ * Two backends exist: `json`, one file per document under `data/`, and
+ * `sqlite`, a single database file using Node's built‑in `node:sqlite`.
+ */
+
+// Document names double as file names, so keep them simple
+const DOCUMENT_NAME = /^[\w-]+$/;
+
+let tempFileCounter = 0;
+
+/**
+ * Write a value as JSON without ever leaving a half‑written file: the
+ * data goes to a temporary file next to the target, is flushed to disk
+ * and then renamed over the target, which replaces it in one step. If
+ * anything fails the temporary file is removed and an error with code
+ * `WRITE_FAILED` is thrown, so callers can report the failure instead
+ * of claiming success.
+ *
+ * @param {string} filePath
+ * @param {any} value
+ */
+function writeJsonFile(filePath, value) {
+  tempFileCounter += 1;
+  const tempPath = `${filePath}.${process.pid}.${tempFileCounter}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(value, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (unlinkErr) {
+      // The temporary file was never created
+    }
+    throw writeFailed(path.basename(filePath), err);
+  }
+}
+
+/**
+ * Wrap a storage error so the server can tell a failed save apart from
+ * a bad request.
+ *
+ * @param {string} what The document that could not be saved
+ * @param {Error} err
+ * @returns {Error}
+ */
+function writeFailed(what, err) {
+  const error = new Error(`Failed to save ${what}: ${err.message}`);
+  error.code = 'WRITE_FAILED';
+  error.cause = err;
+  return error;
+}
+
+/**
+ * Check a document name before it is used as a file name or key.
+ *
+ * @param {string} name
+ */
+function assertDocumentName(name) {
+  if (!DOCUMENT_NAME.test(name)) {
+    throw new Error(`Invalid document name: ${name}`);
+  }
+}
+
+/**
+ * The original layout: global documents are `data/<name>.json` and a
+ * tournament's documents are `data/<id>/<name>.json`.
+ *
+ * @param {string} dataDir
+ * @returns {Object} A storage backend
+ */
+function createJsonStorage(dataDir) {
+  const scopeDir = (scope) => (scope ? path.join(dataDir, scope) : dataDir);
+  const filePath = (scope, name) => {
+    assertDocumentName(name);
+    return path.join(scopeDir(scope), `${name}.json`);
+  };
+  return {
+    backend: 'json',
+    readDocument(scope, name) {
+      try {
+        return JSON.parse(fs.readFileSync(filePath(scope, name), 'utf8'));
+      } catch (err) {
+        return null;
+      }
+    },
+    writeDocument(scope, name, value) {
+      writeJsonFile(filePath(scope, name), value);
+    },
+    listDocuments(scope) {
+      const dir = scopeDir(scope);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => f.slice(0, -'.json'.length))
+        .sort();
+    },
+    deleteDocuments(scope) {
+      // The global scope is the data directory itself
+      if (!scope) throw new Error('Only a tournament\'s documents can be deleted.');
+      fs.rmSync(scopeDir(scope), { recursive: true, force: true });
+    },
+    close() {},
+  };
+}
+
+/**
+ * A single SQLite database holding every document as a row of the
+ * `documents` table. Writes are single statements, so each document is
+ * replaced atomically, and the write‑ahead log lets readers carry on
+ * while a write is in progress. Needs Node.js 22.13 or later (22.5 with
+ * the --experimental-sqlite flag).
+ *
+ * @param {string} file Path of the database file, created if missing
+ * @returns {Object} A storage backend
+ */
+function createSqliteStorage(file) {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (err) {
+    throw new Error('The SQLite storage backend needs node:sqlite, available from Node.js 22.13 (22.5 with --experimental-sqlite).');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new sqlite.DatabaseSync(file);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    CREATE TABLE IF NOT EXISTS documents (
+      scope TEXT NOT NULL,
+      name TEXT NOT NULL,
+      body TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (scope, name)
+    );
+  `);
+  const selectDocument = db.prepare('SELECT body FROM documents WHERE scope = ? AND name = ?');
+  const upsertDocument = db.prepare(`
+    INSERT INTO documents (scope, name, body, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (scope, name) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at
+  `);
+  const selectNames = db.prepare('SELECT name FROM documents WHERE scope = ? ORDER BY name');
+  const deleteScope = db.prepare('DELETE FROM documents WHERE scope = ?');
+  // The global scope is stored as an empty string, which no tournament ID can be
+  const key = (scope) => scope || '';
+  return {
+    backend: 'sqlite',
+    readDocument(scope, name) {
+      assertDocumentName(name);
+      const row = selectDocument.get(key(scope), name);
+      return row ? JSON.parse(row.body) : null;
+    },
+    writeDocument(scope, name, value) {
+      assertDocumentName(name);
+      try {
+        upsertDocument.run(key(scope), name, JSON.stringify(value), new Date().toISOString());
+      } catch (err) {
+        throw writeFailed(scope ? `${scope}/${name}` : name, err);
+      }
+    },
+    listDocuments(scope) {
+      return selectNames.all(key(scope)).map((row) => row.name);
+    },
+    deleteDocuments(scope) {
+      if (!scope) throw new Error('Only a tournament\'s documents can be deleted.');
+      deleteScope.run(scope);
+    },
+    /**
+     * Run `fn` inside a transaction, rolling back if it throws.
+     *
+     * @param {() => any} fn
+     * @returns {any}
+     */
+    transaction(fn) {
+      db.exec('BEGIN');
+      try {
+        const result = fn();
+        db.exec('COMMIT');
+        return result;
+      } catch (err) {
+        db.exec('ROLLBACK');
+        throw err;
+      }
+    },
+    close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * Create the storage backend chosen by configuration. The `STORAGE`
+ * environment variable selects `json` (the default) or `sqlite`, and
+ * `SQLITE_FILE` overrides the database path, `data/tournaments.db` by
+ * default.
+ *
+ * @param {{dataDir: string, backend?: string, sqliteFile?: string}} options
+ * @returns {Object} A storage backend
+ */
+function createStorage(options) {
+  const backend = options.backend || process.env.STORAGE || 'json';
+  if (backend === 'json') {
+    return createJsonStorage(options.dataDir);
+  }
+  if (backend === 'sqlite') {
+    return createSqliteStorage(options.sqliteFile || process.env.SQLITE_FILE || path.join(options.dataDir, 'tournaments.db'));
+  }
+  throw new Error(`Unknown storage backend "${backend}"; use json or sqlite.`);
+}
+
+/**
+ * Copy everything from the JSON files under `dataDir` into a SQLite
+ * database: the tournament list, user accounts and every listed
+ * tournament's documents. The copy runs in one transaction and refuses
+ * to touch a database that already holds tournaments. The JSON files
+ * are left in place.
+ *
+ * @param {string} dataDir
+ * @param {string} sqliteFile
+ * @returns {{tournaments: number, documents: number}}
+ */
+function migrateJsonToSqlite(dataDir, sqliteFile) {
+  const source = createJsonStorage(dataDir);
+  const target = createSqliteStorage(sqliteFile);
+  try {
+    if (target.readDocument(null, 'tournaments')) {
+      throw new Error(`${sqliteFile} already holds tournaments; move it away to migrate again.`);
+    }
+    const tournaments = source.readDocument(null, 'tournaments') || [];
+    let documents = 0;
+    target.transaction(() => {
+      ['tournaments', 'users'].forEach((name) => {
+        const value = source.readDocument(null, name);
+        if (value === null) return;
+        target.writeDocument(null, name, value);
+        documents += 1;
+      });
+      tournaments.forEach((tournament) => {
+        source.listDocuments(tournament.id).forEach((name) => {
+          target.writeDocument(tournament.id, name, source.readDocument(tournament.id, name));
+          documents += 1;
+        });
+      });
+    });
+    return { tournaments: tournaments.length, documents };
+  } finally {
+    target.close();
+  }
+}
+
+module.exports = {
+  createJsonStorage,
+  createSqliteStorage,
+  createStorage,
+  migrateJsonToSqlite,
+};
+
+// Command line: node storage.js migrate
+if (require.main === module) {
+  const dataDir = path.join(__dirname, 'data');
+  const sqliteFile = process.env.SQLITE_FILE || path.join(dataDir, 'tournaments.db');
+  if (process.argv[2] !== 'migrate') {
+    console.error('Usage: node storage.js migrate   (copies data/ into SQLite; set SQLITE_FILE to choose the database)');
+    process.exit(1);
+  }
+  try {
+    const { tournaments, documents } = migrateJsonToSqlite(dataDir, sqliteFile);
+    console.log(`Copied ${tournaments} tournaments (${documents} documents) into ${sqliteFile}.`);
+    console.log('Start the server with STORAGE=sqlite to use it.');
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
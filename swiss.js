@@ -0,0 +1,183 @@
+/**
+ * Swiss‑system pairing. Each round pairs teams on similar standing who
+ * have not met yet; with an odd number of teams one team sits the round
+ * out (a bye), and no team gets a second bye while another has had none.
+ *
+ * Pairing is done on team positions in the ranking. An odd field gets
+ * an extra "bye" position at the bottom, so sitting out is just another
+ * opponent a team may only meet once.
+ */
+
+// Search steps tried before the ranked search gives way to the repair pass
+const SEARCH_STEP_LIMIT = 20000;
+
+/**
+ * The most rounds a Swiss tournament of `teamCount` teams may play:
+ * enough to separate the field (about log2 of the number of teams plus
+ * two) but never more than half the number of teams. Up to that point
+ * every team still has at least half the field left to meet, which
+ * always leaves a complete pairing, so every configured round can be
+ * paired.
+ *
+ * @param {number} teamCount
+ * @returns {number}
+ */
+function maxSwissRounds(teamCount) {
+  if (teamCount < 2) return 0;
+  return Math.min(Math.ceil(Math.log2(teamCount)) + 2, Math.ceil(teamCount / 2));
+}
+
+/**
+ * Pair one Swiss round. Teams are taken in ranking order and each is
+ * matched with the highest‑ranked remaining team it has not met yet, so
+ * teams pair within their points group and a team left over drops to
+ * the next group down; the lowest‑ranked team that has not had a bye
+ * sits out. When that leaves later teams without a legal opponent the
+ * search backtracks, but only for a limited number of steps. Past the
+ * limit the teams are paired greedily and any team left without an
+ * opponent is fitted in by swapping partners with an existing pair.
+ * Home is given to the team with fewer home games so far (the
+ * higher‑ranked team on equal counts).
+ *
+ * @param {string[]} ranking Teams in current ranking order
+ * @param {Array<{home: string, away: string}>} previous Every fixture played or scheduled so far
+ * @param {string[]} previousByes Teams that already had a bye
+ * @returns {{error?: string, pairs?: Array<[string, string]>, bye?: string|null}}
+ */
+function pairSwissRound(ranking, previous, previousByes) {
+  const teamCount = ranking.length;
+  const size = teamCount % 2 === 1 ? teamCount + 1 : teamCount;
+  const byePosition = size > teamCount ? teamCount : -1;
+  const position = new Map(ranking.map((team, i) => [team, i]));
+  const met = new Set();
+  const pairKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+  const haveMet = (a, b) => met.has(pairKey(a, b));
+  previous.forEach((m) => {
+    if (position.has(m.home) && position.has(m.away)) {
+      met.add(pairKey(position.get(m.home), position.get(m.away)));
+    }
+  });
+  // Once every team has had a bye the byes start over
+  if (byePosition >= 0 && !ranking.every((team) => previousByes.includes(team))) {
+    previousByes.forEach((team) => {
+      if (position.has(team)) met.add(pairKey(position.get(team), byePosition));
+    });
+  }
+  const homeGames = {};
+  ranking.forEach((team) => {
+    homeGames[team] = 0;
+  });
+  previous.forEach((m) => {
+    if (m.home in homeGames) homeGames[m.home] += 1;
+  });
+
+  const partner = pairInRankingOrder(size, haveMet) || pairAndRepair(size, haveMet);
+  if (!partner) {
+    return { error: 'No valid pairing is left without repeating a match or giving a team a second bye.' };
+  }
+  let bye = null;
+  const pairs = [];
+  partner.forEach((other, i) => {
+    if (other < i) return;
+    if (other === byePosition) {
+      bye = ranking[i];
+      return;
+    }
+    const higher = ranking[i];
+    const lower = ranking[other];
+    pairs.push(homeGames[lower] < homeGames[higher] ? [lower, higher] : [higher, lower]);
+  });
+  return { pairs, bye };
+}
+
+/**
+ * Backtracking search for a pairing of positions 0..size-1 in which
+ * each position takes the highest remaining one it may meet. Gives up
+ * after SEARCH_STEP_LIMIT steps.
+ *
+ * @param {number} size An even number of positions
+ * @param {(a: number, b: number) => boolean} haveMet
+ * @returns {number[]|null} Each position's partner
+ */
+function pairInRankingOrder(size, haveMet) {
+  const partner = new Array(size).fill(-1);
+  let steps = 0;
+  const search = (from) => {
+    steps += 1;
+    if (steps > SEARCH_STEP_LIMIT) return false;
+    let first = from;
+    while (first < size && partner[first] !== -1) first += 1;
+    if (first === size) return true;
+    for (let other = first + 1; other < size; other++) {
+      if (partner[other] !== -1 || haveMet(first, other)) continue;
+      partner[first] = other;
+      partner[other] = first;
+      if (search(first + 1)) return true;
+      partner[first] = -1;
+      partner[other] = -1;
+      if (steps > SEARCH_STEP_LIMIT) return false;
+    }
+    return false;
+  };
+  return search(0) ? partner : null;
+}
+
+/**
+ * Pair positions greedily in ranking order, then fit in each two
+ * positions left over: directly if they may meet, otherwise by taking
+ * over a pair whose members they may each meet. While every position
+ * may still meet at least half the others such a pair always exists.
+ *
+ * @param {number} size An even number of positions
+ * @param {(a: number, b: number) => boolean} haveMet
+ * @returns {number[]|null} Each position's partner
+ */
+function pairAndRepair(size, haveMet) {
+  const partner = new Array(size).fill(-1);
+  const link = (a, b) => {
+    partner[a] = b;
+    partner[b] = a;
+  };
+  for (let first = 0; first < size; first++) {
+    if (partner[first] !== -1) continue;
+    for (let other = first + 1; other < size; other++) {
+      if (partner[other] === -1 && !haveMet(first, other)) {
+        link(first, other);
+        break;
+      }
+    }
+  }
+  const fitIn = (a, b) => {
+    if (!haveMet(a, b)) {
+      link(a, b);
+      return true;
+    }
+    for (let x = 0; x < size; x++) {
+      const y = partner[x];
+      if (y === -1 || x === a || x === b) continue;
+      if (!haveMet(a, x) && !haveMet(b, y)) {
+        link(a, x);
+        link(b, y);
+        return true;
+      }
+    }
+    return false;
+  };
+  let unpaired = partner.map((p, i) => (p === -1 ? i : -1)).filter((i) => i !== -1);
+  while (unpaired.length) {
+    let fitted = false;
+    for (let i = 0; i < unpaired.length && !fitted; i++) {
+      for (let j = i + 1; j < unpaired.length && !fitted; j++) {
+        fitted = fitIn(unpaired[i], unpaired[j]);
+      }
+    }
+    if (!fitted) return null;
+    unpaired = partner.map((p, i) => (p === -1 ? i : -1)).filter((i) => i !== -1);
+  }
+  return partner;
+}
+
+module.exports = {
+  maxSwissRounds,
+  pairSwissRound,
+};
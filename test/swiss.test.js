@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { maxSwissRounds, pairSwissRound } = require('../swiss');
+
+/**
+ * Play a whole Swiss tournament: each round is paired on the current
+ * points (ties broken by team order) and decided by a seeded
+ * pseudo‑random result, so every run sees the same tournaments.
+ *
+ * @param {number} teamCount
+ * @param {number} rounds
+ * @param {number} seed
+ * @returns {{fixtures: Array<{home: string, away: string}>, byes: string[], slowest: number, error?: string}}
+ */
+function playSwiss(teamCount, rounds, seed) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  const teams = Array.from({ length: teamCount }, (_, i) => `Team ${i + 1}`);
+  const points = Object.fromEntries(teams.map((team) => [team, 0]));
+  const fixtures = [];
+  const byes = [];
+  let slowest = 0;
+  for (let round = 0; round < rounds; round++) {
+    const ranking = teams.slice().sort((a, b) => points[b] - points[a]);
+    const started = Date.now();
+    const pairing = pairSwissRound(ranking, fixtures, byes);
+    slowest = Math.max(slowest, Date.now() - started);
+    if (pairing.error) {
+      return { fixtures, byes, slowest, error: `Round ${round + 1}: ${pairing.error}` };
+    }
+    pairing.pairs.forEach(([home, away]) => {
+      fixtures.push({ home, away });
+      const outcome = random();
+      if (outcome < 0.4) points[home] += 3;
+      else if (outcome < 0.8) points[away] += 3;
+      else {
+        points[home] += 1;
+        points[away] += 1;
+      }
+    });
+    if (pairing.bye) {
+      byes.push(pairing.bye);
+      points[pairing.bye] += 3;
+    }
+  }
+  return { fixtures, byes, slowest };
+}
+
+test('every allowed round is paired without a rematch or a second bye', () => {
+  for (let teamCount = 2; teamCount <= 40; teamCount++) {
+    for (let seed = 1; seed <= 10; seed++) {
+      const rounds = maxSwissRounds(teamCount);
+      const { fixtures, byes, error } = playSwiss(teamCount, rounds, seed);
+      const label = `${teamCount} teams, seed ${seed}`;
+      assert.strictEqual(error, undefined, `${label}: ${error}`);
+      assert.strictEqual(fixtures.length, rounds * Math.floor(teamCount / 2), label);
+      const pairings = fixtures.map((m) => [m.home, m.away].sort().join(' v '));
+      assert.strictEqual(new Set(pairings).size, pairings.length, `${label}: a pairing was repeated`);
+      assert.strictEqual(new Set(byes).size, byes.length, `${label}: a team had two byes`);
+      assert.strictEqual(byes.length, teamCount % 2 === 1 ? rounds : 0, label);
+    }
+  }
+});
+
+test('teams are paired down the ranking and the lowest‑ranked team sits out', () => {
+  const pairing = pairSwissRound(['A', 'B', 'C', 'D', 'E'], [], []);
+  assert.deepStrictEqual(pairing, { pairs: [['A', 'B'], ['C', 'D']], bye: 'E' });
+});
+
+test('pairing stays fast at 32 and 40 teams, even past the round limit', () => {
+  [32, 40].forEach((teamCount) => {
+    const { slowest, error } = playSwiss(teamCount, teamCount - 1, 7);
+    assert.ok(slowest < 1000, `${teamCount} teams: slowest round took ${slowest} ms`);
+    // Past the limit a round may be impossible, which must be reported
+    if (error) assert.match(error, /No valid pairing is left/);
+  });
+});
+
+test('the round limit stays well below a full round robin', () => {
+  assert.strictEqual(maxSwissRounds(2), 1);
+  assert.strictEqual(maxSwissRounds(7), 4);
+  assert.strictEqual(maxSwissRounds(10), 5);
+  assert.strictEqual(maxSwissRounds(32), 7);
+  assert.strictEqual(maxSwissRounds(40), 8);
+});